@@ -0,0 +1,215 @@
+// auth.js
+// Per-VU token lifecycle for the logged-in flows.
+//
+//  - One login per VU; the token is cached for the VU's lifetime.
+//  - The JWT `exp` claim is decoded and the token renewed TOKEN_REFRESH_SKEW_SEC
+//    (default 60) before it expires: through POST /auth/refresh when the login
+//    response carried a refresh_token (TOKEN_REFRESH=0 disables), else by
+//    logging in again.
+//  - A 401/403 on an authenticated call is "unexpected" (the token should still
+//    be valid); it is counted per endpoint and forces a re-login.
+//
+// Metrics: auth_logins, auth_relogins{reason}, auth_refreshes,
+// auth_refresh_fails, auth_unexpected_401{endpoint}.
+import http from 'k6/http';
+import { check } from 'k6';
+import { Counter } from 'k6/metrics';
+import encoding from 'k6/encoding';
+import { recordEndpoint, submetricKey, metricVals, fmtInt } from './common.js';
+import { envBool, envInt } from './config.js';
+
+const REFRESH_SKEW_SEC = envInt('TOKEN_REFRESH_SKEW_SEC', 60, { min: 0 });
+const USE_REFRESH = envBool('TOKEN_REFRESH', true);
+const DEBUG = envBool('DEBUG', false);
+
+const RELOGIN_REASONS = ['expiry', 'unauthorized', 'refresh_failed'];
+// Authenticated endpoints whose 401s are tracked in the summary.
+const TRACKED_401_ENDPOINTS = ['me', 'user_teams', 'team_top', 'summary'];
+
+const authLogins = new Counter('auth_logins');
+const authRelogins = new Counter('auth_relogins');
+const authRefreshes = new Counter('auth_refreshes');
+const authRefreshFails = new Counter('auth_refresh_fails');
+const authUnexpected401 = new Counter('auth_unexpected_401');
+
+let CONFIG = null;
+
+/**
+ * Wire the module to a script (init context).
+ * @param {object} cfg
+ * @param {string} cfg.baseUrl API root including /api/v1
+ * @param {function(): object} cfg.guestParams request params for unauthenticated calls
+ * @param {{login: object, refresh?: object}} cfg.endpoints registry entries from defineEndpoints()
+ */
+export function initAuth(cfg) {
+  CONFIG = cfg;
+}
+
+function logDebug(msg, obj) {
+  if (!DEBUG) return;
+  console.log(`[DEBUG auth] ${msg}${obj ? ' ' + JSON.stringify(obj) : ''}`);
+}
+
+/** `exp` claim (epoch seconds) of a JWT, or null for opaque / malformed tokens. */
+export function decodeJwtExp(token) {
+  try {
+    const parts = String(token).split('.');
+    if (parts.length !== 3) return null;
+    const claims = JSON.parse(encoding.b64decode(parts[1], 'rawurl', 's'));
+    return Number.isFinite(claims?.exp) ? claims.exp : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+// { token, refreshToken, exp } for this VU; null until the first login.
+let SESSION = null;
+// Why the next login is a re-login (null before the first one).
+let PENDING_REASON = null;
+
+function sessionFrom(json) {
+  const token = typeof json?.token === 'string' ? json.token : null;
+  if (!token) return null;
+  return {
+    token,
+    refreshToken: typeof json.refresh_token === 'string' ? json.refresh_token : null,
+    exp: decodeJwtExp(token),
+  };
+}
+
+function doLogin(cred) {
+  const email = cred.email;
+  const loginPayload = JSON.stringify({ email, password: cred.password });
+  const loginRes = http.post(`${CONFIG.baseUrl}/auth/login`, loginPayload, CONFIG.guestParams());
+  recordEndpoint(CONFIG.endpoints.login, loginRes);
+
+  const ok = check(loginRes, {
+    'login 200': (r) => r.status === 200,
+  });
+
+  if (!ok) {
+    logDebug('login failed', {
+      email,
+      status: loginRes.status,
+      body: loginRes.body?.slice?.(0, 200),
+    });
+    return null;
+  }
+
+  let j = null;
+  try {
+    j = loginRes.json();
+  } catch (_) {
+    logDebug('login json parse failed', { email });
+    return null;
+  }
+
+  const session = sessionFrom(j);
+  if (!session) logDebug('login missing token', { email });
+  return session;
+}
+
+function doRefresh() {
+  const res = http.post(
+    `${CONFIG.baseUrl}/auth/refresh`,
+    JSON.stringify({ refresh_token: SESSION.refreshToken }),
+    CONFIG.guestParams()
+  );
+  if (CONFIG.endpoints.refresh) recordEndpoint(CONFIG.endpoints.refresh, res);
+
+  let next = null;
+  if (res.status === 200) {
+    try {
+      next = sessionFrom(res.json());
+    } catch (_) {
+      next = null;
+    }
+  }
+  if (!next) {
+    logDebug('refresh failed', { status: res.status });
+    return null;
+  }
+  // Servers that do not rotate refresh tokens omit it from the response.
+  if (!next.refreshToken) next.refreshToken = SESSION.refreshToken;
+  return next;
+}
+
+function expiresSoon(session) {
+  if (!session.exp) return false;
+  return Date.now() / 1000 >= session.exp - REFRESH_SKEW_SEC;
+}
+
+/**
+ * Token for this VU's next authenticated call, logging in or refreshing as needed.
+ * @returns {{token: string|null, loggedIn: boolean}} loggedIn is true when
+ *   this call performed a (re-)login, i.e. the app just went through sign-in.
+ */
+export function sessionToken(cred) {
+  if (SESSION && expiresSoon(SESSION)) {
+    const refreshed = USE_REFRESH && SESSION.refreshToken ? doRefresh() : null;
+    if (refreshed) {
+      authRefreshes.add(1);
+      SESSION = refreshed;
+    } else {
+      if (USE_REFRESH && SESSION.refreshToken) authRefreshFails.add(1);
+      PENDING_REASON = USE_REFRESH && SESSION.refreshToken ? 'refresh_failed' : 'expiry';
+      SESSION = null;
+    }
+  }
+
+  if (SESSION) return { token: SESSION.token, loggedIn: false };
+
+  SESSION = doLogin(cred);
+  if (!SESSION) return { token: null, loggedIn: false };
+
+  authLogins.add(1);
+  if (PENDING_REASON) authRelogins.add(1, { reason: PENDING_REASON });
+  PENDING_REASON = null;
+  return { token: SESSION.token, loggedIn: true };
+}
+
+/**
+ * Call after every authenticated request. On 401/403 the session is dropped
+ * (next sessionToken() re-logs in) and the 401 counted against the endpoint.
+ * @returns {boolean} true when the token was rejected
+ */
+export function noteUnauthorized(res, endpointId) {
+  if (res.status !== 401 && res.status !== 403) return false;
+  authUnexpected401.add(1, { endpoint: endpointId });
+  logDebug('unexpected unauthorized', { endpoint: endpointId, status: res.status });
+  SESSION = null;
+  PENDING_REASON = 'unauthorized';
+  return true;
+}
+
+/** Submetric keys the auth summary block reads. */
+export function authThresholds() {
+  const out = {};
+  for (const reason of RELOGIN_REASONS) out[submetricKey('auth_relogins', { reason })] = [];
+  for (const endpoint of TRACKED_401_ENDPOINTS) {
+    out[submetricKey('auth_unexpected_401', { endpoint })] = [];
+  }
+  return out;
+}
+
+function count(data, key) {
+  return metricVals(data, key)?.count ?? 0;
+}
+
+/** Plain-text token lifecycle block for handleSummary(). */
+export function authSummary(data) {
+  const reasons = RELOGIN_REASONS.map(
+    (reason) => `${reason}=${fmtInt(count(data, submetricKey('auth_relogins', { reason })))}`
+  ).join(' ');
+  const by401 = TRACKED_401_ENDPOINTS.map(
+    (endpoint) => `${endpoint}=${fmtInt(count(data, submetricKey('auth_unexpected_401', { endpoint })))}`
+  ).join(' ');
+
+  return (
+    '\n=== Auth / token lifecycle ===\n' +
+    `logins: ${fmtInt(count(data, 'auth_logins'))}\n` +
+    `re-logins: ${fmtInt(count(data, 'auth_relogins'))} (${reasons})\n` +
+    `refreshes: ${fmtInt(count(data, 'auth_refreshes'))} (failed ${fmtInt(count(data, 'auth_refresh_fails'))})\n` +
+    `unexpected 401s: ${fmtInt(count(data, 'auth_unexpected_401'))} (${by401})\n`
+  );
+}
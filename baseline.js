@@ -0,0 +1,146 @@
+// baseline.js
+// Compare this run with a previous one and fail on per-endpoint regressions.
+//
+//   BASELINE_FILE       SUMMARY_JSON of an earlier run (see report.js); unset = no comparison
+//   REGRESSION_PCT      allowed p95 / p90 growth in percent (default 20)
+//   REGRESSION_MS       allowed p95 / p90 growth in ms (default 0). With both set,
+//                       the larger allowance wins, so a 2ms -> 3ms shift on a fast
+//                       endpoint does not trip the percentage budget.
+//   REGRESSION_FAIL_PP  allowed fail-rate growth in percentage points (default 1)
+//   REGRESSION_RPS_PCT  allowed throughput drop in percent (unset = report only;
+//                       throughput depends on the profile as much as on the API)
+//
+// The budgets become thresholds on ep_<id>_duration, ep_any_fail_rate{endpoint}
+// and ep_<id>_reqs, so a regression fails the run like any other threshold.
+// Endpoints present in only one of the two runs are flagged, never failed.
+import { endpointIds, endpointRows, submetricKey, fmtMs, fmtPct } from './common.js';
+import { envNumber, envString } from './config.js';
+
+const BASELINE_FILE = envString('BASELINE_FILE', '');
+const REGRESSION_PCT = envNumber('REGRESSION_PCT', 20, { min: 0 });
+const REGRESSION_MS = envNumber('REGRESSION_MS', 0, { min: 0 });
+const REGRESSION_FAIL_PP = envNumber('REGRESSION_FAIL_PP', 1, { min: 0 });
+const REGRESSION_RPS_PCT = envNumber('REGRESSION_RPS_PCT', null, { min: 0 });
+
+// Summary schema versions this module can read.
+const SUPPORTED_VERSIONS = [1];
+
+function loadBaseline() {
+  if (!BASELINE_FILE) return null;
+  const doc = JSON.parse(open(BASELINE_FILE));
+  if (!SUPPORTED_VERSIONS.includes(doc?.schema_version)) {
+    throw new Error(`${BASELINE_FILE}: unsupported summary schema_version ${doc?.schema_version}`);
+  }
+  return doc;
+}
+
+const BASELINE = loadBaseline();
+
+function baselineEndpoint(id) {
+  return BASELINE?.endpoints?.find((e) => e.id === id && e.reqs > 0) || null;
+}
+
+function latencyLimit(base) {
+  return Math.max(base * (1 + REGRESSION_PCT / 100), base + REGRESSION_MS);
+}
+
+function failLimit(base) {
+  return base + REGRESSION_FAIL_PP / 100;
+}
+
+function rpsFloor(base) {
+  return base * (1 - REGRESSION_RPS_PCT / 100);
+}
+
+/**
+ * Regression thresholds for endpoints registered in this script that the
+ * baseline also measured. Empty without BASELINE_FILE.
+ */
+export function baselineThresholds() {
+  const out = {};
+  if (!BASELINE) return out;
+
+  for (const id of endpointIds()) {
+    const base = baselineEndpoint(id);
+    if (!base) continue;
+
+    const dur = [];
+    if (Number.isFinite(base.p95_ms)) dur.push(`p(95)<=${latencyLimit(base.p95_ms).toFixed(3)}`);
+    if (Number.isFinite(base.p90_ms)) dur.push(`p(90)<=${latencyLimit(base.p90_ms).toFixed(3)}`);
+    if (dur.length > 0) out[`ep_${id}_duration`] = dur;
+
+    if (Number.isFinite(base.fail_rate)) {
+      out[submetricKey('ep_any_fail_rate', { endpoint: id })] = [`rate<=${failLimit(base.fail_rate).toFixed(4)}`];
+    }
+    if (REGRESSION_RPS_PCT !== null && Number.isFinite(base.rps)) {
+      out[`ep_${id}_reqs`] = [`rate>=${rpsFloor(base.rps).toFixed(3)}`];
+    }
+  }
+  return out;
+}
+
+function pctDelta(cur, base) {
+  if (!Number.isFinite(cur) || !Number.isFinite(base) || base === 0) return '';
+  const d = ((cur - base) / base) * 100;
+  return ` (${d >= 0 ? '+' : ''}${d.toFixed(1)}%)`;
+}
+
+function ppDelta(cur, base) {
+  if (!Number.isFinite(cur) || !Number.isFinite(base)) return '';
+  const d = (cur - base) * 100;
+  return ` (${d >= 0 ? '+' : ''}${d.toFixed(2)}pp)`;
+}
+
+function fmtRps(x) {
+  return Number.isFinite(x) ? `${x.toFixed(2)}/s` : '-';
+}
+
+function regressions(cur, base) {
+  const out = [];
+  if (Number.isFinite(base.p95_ms) && cur.p95 > latencyLimit(base.p95_ms)) out.push('p95');
+  if (Number.isFinite(base.p90_ms) && cur.p90 > latencyLimit(base.p90_ms)) out.push('p90');
+  if (Number.isFinite(base.fail_rate) && cur.failRate > failLimit(base.fail_rate)) out.push('fail%');
+  if (REGRESSION_RPS_PCT !== null && Number.isFinite(base.rps) && cur.rps < rpsFloor(base.rps)) out.push('rps');
+  return out;
+}
+
+/** Plain-text per-endpoint delta table against the baseline; '' without BASELINE_FILE. */
+export function baselineSummary(data) {
+  if (!BASELINE) return '';
+
+  const header =
+    `\n=== Baseline comparison (${BASELINE.script} ${BASELINE.test_tag ?? '-'} @ ${BASELINE.generated_at ?? '-'}) ===\n` +
+    `budget: p95/p90 +${REGRESSION_PCT}%` + (REGRESSION_MS > 0 ? ` or +${REGRESSION_MS}ms` : '') +
+    `, fail% +${REGRESSION_FAIL_PP}pp` +
+    (REGRESSION_RPS_PCT !== null ? `, rps -${REGRESSION_RPS_PCT}%` : '') + '\n' +
+    'endpoint | p95 | p90 | fail% | rps | status\n' +
+    '-------- | ---:| ---:| -----:| ---:| ------\n';
+
+  const seen = new Set();
+  const lines = [];
+  for (const cur of endpointRows(data)) {
+    if (cur.reqs === 0) continue;
+    seen.add(cur.id);
+    const base = baselineEndpoint(cur.id);
+    if (!base) {
+      lines.push([cur.name, fmtMs(cur.p95), fmtMs(cur.p90), fmtPct(cur.failRate), fmtRps(cur.rps), 'NEW (not in baseline)'].join(' | '));
+      continue;
+    }
+    const bad = regressions(cur, base);
+    lines.push([
+      cur.name,
+      fmtMs(cur.p95) + pctDelta(cur.p95, base.p95_ms),
+      fmtMs(cur.p90) + pctDelta(cur.p90, base.p90_ms),
+      fmtPct(cur.failRate) + ppDelta(cur.failRate, base.fail_rate),
+      fmtRps(cur.rps) + pctDelta(cur.rps, base.rps),
+      bad.length > 0 ? `REGRESSED (${bad.join(', ')})` : 'ok',
+    ].join(' | '));
+  }
+  for (const base of BASELINE.endpoints || []) {
+    if (base.reqs > 0 && !seen.has(base.id)) {
+      lines.push([base.label, fmtMs(base.p95_ms), fmtMs(base.p90_ms), fmtPct(base.fail_rate), fmtRps(base.rps), 'MISSING (baseline only)'].join(' | '));
+    }
+  }
+
+  return header + (lines.length > 0 ? lines.join('\n') : 'no endpoints') + '\n';
+}
@@ -1,41 +1,171 @@
 // blended.js
-import webFlow from './web_guest.js';
-import mobileFlow from './mobile_guest.js';
+// Mixed-traffic run: web guests, mobile guests and logged-in users side by side.
+//
+// MIX sets the share of each population (default web_guest:60,mobile_guest:25,true_user:15).
+// VUS (closed model) or RATE (LOAD_MODEL=open, sessions/sec) is the total, split by weight.
+// Each script's own thresholds are re-scoped to its scenario, so every
+// population passes or fails on its own.
+// With true_user in the mix, USERS_FILE needs an account per VU of the whole
+// run, not only of the true_user share (k6 VU ids span all scenarios; see
+// credentials.js), or USER_SHARING=warn|share. The shipped 500-account pool
+// covers the default VUS on the closed-model profiles up to spike (453 VUs at
+// peak); breakpoint and LOAD_MODEL=open need a larger pool (provision_users.js
+// USER_COUNT) or account sharing.
+import webFlow, { options as webOptions } from './web_guest.js';
+import mobileFlow, { options as mobileOptions } from './mobile_guest.js';
+import trueUserFlow, {
+  options as trueUserOptions,
+  setup as trueUserSetup,
+  teardown as trueUserTeardown
+} from './true_user.js';
+import { authThresholds, authSummary } from './auth.js';
+import {
+  endpointThresholds,
+  endpointSummary,
+  scenarioSummary,
+  submetricKey,
+  mergeThresholds,
+  SUMMARY_TREND_STATS
+} from './common.js';
+import { profileScenario, activeProfile } from './profiles.js';
+import { leagueThresholds, leagueSummary } from './teams.js';
+import { summaryOutputs } from './report.js';
+import { baselineThresholds, baselineSummary } from './baseline.js';
+import { sloThresholds, sloSummary } from './slo.js';
+import { initWindows, windowThresholds, windowSummary } from './windows.js';
+import { scrollThresholds, scrollSummary } from './scroll.js';
+import { cacheThresholds, cacheSummary } from './cache.js';
+import { pacingSummary } from './pacing.js';
+import { guardTarget, preflight, guardThresholds, guardSummary } from './guard.js';
+import { API_BASE, TEST_TAG, testTag, envInt, envNumber, envString } from './config.js';
 
-export const options = {
-  scenarios: {
-    web: {
-      executor: 'ramping-vus',
-      exec: 'webScenario',
-      startVUs: 5,
-      stages: [
-        { duration: '2m', target: 40 },
-        { duration: '3m', target: 80 },
-        { duration: '3m', target: 120 },
-        { duration: '3m', target: 160 },
-        { duration: '2m', target: 0 }
-      ]
-    },
-    mobile: {
-      executor: 'ramping-vus',
-      exec: 'mobileScenario',
-      startVUs: 3,
-      stages: [
-        { duration: '2m', target: 15 },
-        { duration: '3m', target: 35 },
-        { duration: '3m', target: 50 },
-        { duration: '3m', target: 65 },
-        { duration: '2m', target: 0 }
-      ]
+// Same target as the imported scripts (config.js); guard.js refuses production without ALLOW_PROD.
+const BASE = guardTarget(API_BASE);
+
+const POPULATIONS = {
+  web_guest: { exec: 'webGuest', options: webOptions, iterationSec: 4, startVUs: 5 },
+  mobile_guest: { exec: 'mobileGuest', options: mobileOptions, iterationSec: 3, startVUs: 3 },
+  true_user: { exec: 'trueUser', options: trueUserOptions, iterationSec: 45, startVUs: 1 }
+};
+
+const TOTAL_VUS = envInt('VUS', 150, { min: 1 });
+// Historical blended ramp: every population in even steps to 2x its share.
+const STAGES = [['2m', 0.5], ['3m', 1.0], ['3m', 1.5], ['3m', 2.0], ['2m', 0]];
+const TOTAL_RATE = envNumber('RATE', 30, { min: 0 });
+
+function parseMix(raw) {
+  const mix = {};
+  for (const part of raw.split(',')) {
+    const [name, weight] = part.split(':').map((x) => x.trim());
+    if (!POPULATIONS[name]) {
+      throw new Error(`Unknown MIX population "${name}" (expected: ${Object.keys(POPULATIONS).join(', ')})`);
     }
+    const w = parseFloat(weight);
+    if (!Number.isFinite(w) || w < 0) throw new Error(`Bad MIX weight for ${name}: "${weight}"`);
+    if (w > 0) mix[name] = w;
+  }
+  return mix;
+}
+
+const MIX = parseMix(envString('MIX', 'web_guest:60,mobile_guest:25,true_user:15'));
+const MIX_TOTAL = Object.values(MIX).reduce((a, b) => a + b, 0);
+
+function buildScenarios() {
+  const out = {};
+  for (const [name, weight] of Object.entries(MIX)) {
+    const pop = POPULATIONS[name];
+    const share = weight / MIX_TOTAL;
+    out[name] = profileScenario('stress', {
+      vus: Math.max(1, Math.round(TOTAL_VUS * share)),
+      rate: TOTAL_RATE * share,
+      iterationSec: pop.iterationSec,
+      startVUs: pop.startVUs,
+      stages: STAGES,
+      exec: pop.exec
+    });
+  }
+  return out;
+}
+
+// A script's own thresholds (http_req_failed, games_fail_5xx, ...) re-scoped
+// to its scenario; the shared endpoint, SLO, guard and baseline thresholds are added once globally.
+function scenarioThresholds(name) {
+  const shared = mergeThresholds(endpointThresholds(), sloThresholds(), guardThresholds(), baselineThresholds());
+  const out = {};
+  const own = submetricKey('', { scenario: name });
+  for (const [key, list] of Object.entries(POPULATIONS[name].options.thresholds || {})) {
+    // A script may already scope a threshold to its own scenario (true_user.js).
+    const metric = key.endsWith(own) ? key.slice(0, -own.length) : key;
+    if (metric in shared || metric.includes('{')) continue;
+    out[submetricKey(metric, { scenario: name })] = list;
+  }
+  // Keys the per-scenario summary reads; [] keeps the submetric without a verdict.
+  for (const metric of ['iterations', 'http_reqs', 'http_req_failed', 'http_req_duration']) {
+    const key = submetricKey(metric, { scenario: name });
+    if (!(key in out)) out[key] = [];
   }
+  return out;
+}
+
+function buildThresholds() {
+  let out = mergeThresholds(
+    endpointThresholds(),
+    leagueThresholds(),
+    sloThresholds(),
+    cacheThresholds(),
+    guardThresholds(),
+    windowThresholds(),
+    baselineThresholds(),
+    MIX.true_user ? authThresholds() : {},
+    MIX.true_user ? scrollThresholds() : {}
+  );
+  for (const name of Object.keys(MIX)) out = { ...out, ...scenarioThresholds(name) };
+  return out;
+}
+
+// The populations' own initWindows() calls ran at import; this one wins.
+const SCENARIOS = buildScenarios();
+initWindows(SCENARIOS);
+
+export const options = {
+  scenarios: SCENARIOS,
+  thresholds: buildThresholds(),
+  summaryTrendStats: SUMMARY_TREND_STATS,
+  tags: { test_tag: TEST_TAG }
 };
 
-export function webScenario() {
+export function setup() {
+  // true_user's setup() runs the preflight with a pool login.
+  if (MIX.true_user) return trueUserSetup();
+  preflight(BASE);
+  return null;
+}
+
+export function teardown(data) {
+  if (MIX.true_user) trueUserTeardown(data);
+}
+
+export function webGuest() {
   return webFlow();
 }
 
-export function mobileScenario() {
+export function mobileGuest() {
   return mobileFlow();
 }
 
+export function trueUser() {
+  return trueUserFlow();
+}
+
+export function handleSummary(data) {
+  let text = scenarioSummary(data, Object.keys(MIX)) + endpointSummary(data) + sloSummary(data) + leagueSummary(data);
+  if (MIX.true_user) text += scrollSummary(data) + authSummary(data);
+  text += cacheSummary(data) + pacingSummary(data) + guardSummary(data, BASE) + windowSummary(data);
+  text += baselineSummary(data);
+  return summaryOutputs(data, text, {
+    script: 'blended',
+    testTag: testTag(),
+    profile: `${activeProfile('stress')} (${Object.entries(MIX).map(([n, w]) => `${n}:${w}`).join(',')})`,
+    baseUrl: BASE
+  });
+}
@@ -0,0 +1,249 @@
+// cache.js
+// HTTP caching / CDN measurement for the cacheable GET routes.
+//
+//   HTTP_CACHE  off (default) — plain requests, as before
+//               conditional   — remember ETag / Last-Modified per VU and URL and
+//                               revalidate with If-None-Match / If-Modified-Since
+//               bust          — unique query param + Cache-Control: no-cache on
+//                               every request, to measure the cold origin
+//
+// Cache status is read from the response in every mode: Cache-Status (RFC 9211),
+// CF-Cache-Status, X-Cache (CloudFront / Fastly / Varnish style) and Age. Hits,
+// stale and revalidated answers count as served by the edge; misses and bypasses
+// as origin. The summary shows per endpoint the 304 ratio, the edge hit rate and
+// edge-vs-origin latency.
+import http from 'k6/http';
+import { Counter, Rate, Trend } from 'k6/metrics';
+import {
+  endpointIds,
+  getJSON,
+  recordEndpoint,
+  safeJSON,
+  submetricKey,
+  metricVals,
+  fmtInt,
+  fmtPct,
+  fmtMs
+} from './common.js';
+import { envEnum } from './config.js';
+
+export const HTTP_CACHE = envEnum('HTTP_CACHE', 'off', ['off', 'conditional', 'bust']);
+
+// GET routes that go through this module (see the scripts).
+const CACHED_ENDPOINTS = ['latest', 'team_feed', 'user_teams', 'games_screen'];
+const CACHE_STATUSES = ['hit', 'stale', 'revalidated', 'miss', 'bypass', 'unknown'];
+const LAYERS = ['edge', 'origin', 'unknown'];
+
+const cacheResponses = new Counter('cache_responses');
+const cacheNotModified = new Rate('cache_not_modified');
+const cacheDuration = new Trend('cache_duration', true);
+const cacheAge = new Trend('cache_age_seconds');
+
+// Per-VU validators and the body they validate: url -> { etag, lastModified, body },
+// least recently used first. Paged URLs (after_date cursors) are nearly all
+// unique, so the map is capped rather than left to grow over a soak.
+const VALIDATORS = new Map();
+const VALIDATORS_MAX = 100;
+
+function validatorsGet(url) {
+  const v = VALIDATORS.get(url);
+  if (v) {
+    VALIDATORS.delete(url);
+    VALIDATORS.set(url, v);
+  }
+  return v;
+}
+
+function validatorsSet(url, v) {
+  VALIDATORS.delete(url);
+  VALIDATORS.set(url, v);
+  if (VALIDATORS.size > VALIDATORS_MAX) VALIDATORS.delete(VALIDATORS.keys().next().value);
+}
+
+function header(res, name) {
+  const want = name.toLowerCase();
+  for (const [k, v] of Object.entries(res.headers || {})) {
+    if (k.toLowerCase() === want) return String(v);
+  }
+  return null;
+}
+
+/**
+ * Normalised cache status of a response: hit | stale | revalidated | miss |
+ * bypass | unknown. The cache closest to the client wins: the last member of
+ * Cache-Status (RFC 9211 lists caches from the origin outward) and of X-Cache.
+ */
+export function cacheStatus(res) {
+  const rfc = header(res, 'Cache-Status');
+  if (rfc) {
+    const last = rfc.split(',').pop().toLowerCase();
+    if (/;\s*hit\b/.test(last)) return /fwd=stale/.test(last) ? 'stale' : 'hit';
+    if (/fwd=stale/.test(last)) return 'stale';
+    if (/fwd=bypass/.test(last)) return 'bypass';
+    if (/fwd=/.test(last)) return /fwd-status=304/.test(last) ? 'revalidated' : 'miss';
+  }
+
+  const cf = header(res, 'CF-Cache-Status');
+  if (cf) {
+    const v = cf.trim().toUpperCase();
+    if (v === 'HIT') return 'hit';
+    if (v === 'STALE' || v === 'UPDATING') return 'stale';
+    if (v === 'REVALIDATED') return 'revalidated';
+    if (v === 'MISS' || v === 'EXPIRED') return 'miss';
+    if (v === 'BYPASS' || v === 'DYNAMIC') return 'bypass';
+  }
+
+  const x = header(res, 'X-Cache');
+  if (x) {
+    const last = x.split(',').pop().trim().toLowerCase();
+    if (last.startsWith('refreshhit')) return 'revalidated';
+    if (last.includes('stale')) return 'stale';
+    if (last.includes('hit')) return 'hit';
+    if (last.includes('miss') || last.includes('expired')) return 'miss';
+    if (last.includes('pass')) return 'bypass';
+  }
+  return 'unknown';
+}
+
+function layerOf(status) {
+  if (status === 'hit' || status === 'stale' || status === 'revalidated') return 'edge';
+  if (status === 'miss' || status === 'bypass') return 'origin';
+  return 'unknown';
+}
+
+/**
+ * URL and params for a cacheable GET under the active HTTP_CACHE mode.
+ * @returns {{url: string, params: object}}
+ */
+export function cacheRequest(url, params) {
+  if (HTTP_CACHE === 'bust') {
+    const cb = `_cb=${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+    return {
+      url: `${url}${url.includes('?') ? '&' : '?'}${cb}`,
+      params: {
+        ...params,
+        headers: { ...(params?.headers || {}), 'Cache-Control': 'no-cache', Pragma: 'no-cache' },
+        // One name per feed, not per request: k6 keeps a time series per tag value.
+        tags: { name: url, ...(params?.tags || {}) },
+      },
+    };
+  }
+
+  const v = HTTP_CACHE === 'conditional' ? validatorsGet(url) : null;
+  if (!v) return { url, params };
+
+  const headers = { ...(params?.headers || {}) };
+  if (v.etag) headers['If-None-Match'] = v.etag;
+  if (v.lastModified) headers['If-Modified-Since'] = v.lastModified;
+  return { url, params: { ...params, headers } };
+}
+
+/** Record cache metrics for a response to cacheRequest(url, ...) and keep its validators. */
+export function recordCache(ep, url, res) {
+  if (res.status === 0) return;
+
+  if (HTTP_CACHE === 'conditional' && res.status === 200) {
+    const etag = header(res, 'ETag');
+    const lastModified = header(res, 'Last-Modified');
+    if (etag || lastModified) validatorsSet(url, { etag, lastModified, body: res.body });
+  }
+
+  const status = cacheStatus(res);
+  cacheResponses.add(1, { endpoint: ep.id, cache: status });
+  cacheNotModified.add(res.status === 304 ? 1 : 0, { endpoint: ep.id });
+  cacheDuration.add(res.timings.duration, { endpoint: ep.id, layer: layerOf(status) });
+
+  const age = parseFloat(header(res, 'Age'));
+  if (Number.isFinite(age)) cacheAge.add(age, { endpoint: ep.id });
+}
+
+/**
+ * Parsed body of a response to cacheRequest(url, ...). A 304 has none, so the
+ * copy kept with the validators stands in, as it would in the app.
+ */
+export function cachedJSON(url, res) {
+  if (res.status === 304) {
+    const body = VALIDATORS.get(url)?.body;
+    try {
+      return body ? JSON.parse(body) : null;
+    } catch {
+      return null;
+    }
+  }
+  return safeJSON(res);
+}
+
+/** getJSON() (common.js) through the cache layer. */
+export function cachedGetJSON(url, params, ep) {
+  const req = cacheRequest(url, params);
+  const res = getJSON(req.url, req.params, ep);
+  recordCache(ep, url, res);
+  return res;
+}
+
+/** http.get + recordEndpoint through the cache layer; `tags` as for recordEndpoint(). */
+export function cachedGet(url, params, ep, tags) {
+  const req = cacheRequest(url, params);
+  const res = http.get(req.url, req.params);
+  recordEndpoint(ep, res, tags);
+  recordCache(ep, url, res);
+  return res;
+}
+
+function cachedIds() {
+  const registered = endpointIds();
+  return CACHED_ENDPOINTS.filter((id) => registered.includes(id));
+}
+
+/** Submetric keys the cache table reads. */
+export function cacheThresholds() {
+  const out = {};
+  for (const endpoint of cachedIds()) {
+    for (const cache of CACHE_STATUSES) out[submetricKey('cache_responses', { endpoint, cache })] = [];
+    for (const layer of LAYERS) out[submetricKey('cache_duration', { endpoint, layer })] = [];
+    out[submetricKey('cache_not_modified', { endpoint })] = [];
+    out[submetricKey('cache_age_seconds', { endpoint })] = [];
+  }
+  return out;
+}
+
+/** Plain-text cache / CDN table for handleSummary(). */
+export function cacheSummary(data) {
+  const header =
+    `\n=== HTTP cache / CDN (HTTP_CACHE=${HTTP_CACHE}) ===\n` +
+    'endpoint | 304% | edge hit% | edge avg | edge p95 | origin avg | origin p95 | age avg\n' +
+    '-------- | ----:| --------:| -------:| -------:| ---------:| ---------:| ------:\n';
+
+  const lines = [];
+  for (const endpoint of cachedIds()) {
+    const counts = {};
+    let total = 0;
+    for (const cache of CACHE_STATUSES) {
+      counts[cache] = metricVals(data, submetricKey('cache_responses', { endpoint, cache }))?.count ?? 0;
+      total += counts[cache];
+    }
+    if (total === 0) continue;
+
+    const edge = counts.hit + counts.stale + counts.revalidated;
+    const origin = counts.miss + counts.bypass;
+    const known = edge + origin;
+    const nm = metricVals(data, submetricKey('cache_not_modified', { endpoint }));
+    // Empty submetrics read as zeros; only show latencies of layers that answered.
+    const e = edge > 0 ? metricVals(data, submetricKey('cache_duration', { endpoint, layer: 'edge' })) || {} : {};
+    const o = origin > 0 ? metricVals(data, submetricKey('cache_duration', { endpoint, layer: 'origin' })) || {} : {};
+    const age = known > 0 ? metricVals(data, submetricKey('cache_age_seconds', { endpoint })) : null;
+
+    lines.push([
+      endpoint,
+      fmtPct(nm?.rate ?? null).padStart(6),
+      (known > 0 ? fmtPct(edge / known) : '-').padStart(8),
+      fmtMs(e.avg ?? null).padStart(8),
+      fmtMs(e['p(95)'] ?? null).padStart(8),
+      fmtMs(o.avg ?? null).padStart(8),
+      fmtMs(o['p(95)'] ?? null).padStart(8),
+      (age ? `${fmtInt(age.avg)}s` : '-').padStart(5),
+    ].join(' | '));
+  }
+
+  return header + (lines.length > 0 ? lines.join('\n') : 'no cacheable requests') + '\n';
+}
@@ -0,0 +1,221 @@
+// capture.js
+// Traffic captures for replay.js: HAR exports from the web app and sanitized
+// API access logs, normalised onto the API's route templates.
+//
+// Access logs are read line by line, in either of two shapes:
+//   combined   1.2.3.4 - u_8f3a [19/Oct/2026:13:55:36 +0000] "GET /api/v1/lumps/latest HTTP/1.1" 200 2326 "-" "ua" 0.041
+//              (an optional trailing request time in seconds becomes the duration)
+//   JSON lines {"time": "2026-10-19T13:55:36.120Z", "method": "GET", "path": "/api/v1/lumps/team/17",
+//               "status": 200, "client": "u_8f3a", "duration_ms": 41}
+//              (time may be epoch ms; url / uri for path; session / user / ip for client)
+// A HAR file is one client. Entries of one client are split into sessions
+// wherever it went quiet for more than SESSION_GAP_SEC.
+//
+// Nothing from the capture is sent back except method, route and ids: no
+// headers (tokens are the pool's, see replay.js) and no request bodies.
+import { envNumber } from './config.js';
+
+const SESSION_GAP_SEC = envNumber('SESSION_GAP_SEC', 300, { min: 0 });
+
+/**
+ * Route templates. `param` names what the :id is (team, lump, comment);
+ * `auth` routes need a token; `write` routes change data.
+ */
+export const ROUTES = [
+  { id: 'latest', method: 'GET', re: /^\/lumps\/latest$/, template: '/lumps/latest' },
+  { id: 'user_teams', method: 'GET', re: /^\/lumps\/user-teams$/, template: '/lumps/user-teams', auth: true },
+  { id: 'team_top', method: 'GET', re: /^\/lumps\/team\/(\d+)\/top$/, template: '/lumps/team/:id/top', param: 'team', auth: true },
+  { id: 'team_feed', method: 'GET', re: /^\/lumps\/team\/(\d+)$/, template: '/lumps/team/:id', param: 'team' },
+  { id: 'summary', method: 'GET', re: /^\/lumps\/summary\/team\/(\d+)$/, template: '/lumps/summary/team/:id', param: 'team', auth: true },
+  { id: 'games_screen', method: 'GET', re: /^\/games\/by-team\/(\d+)\/screen$/, template: '/games/by-team/:id/screen', param: 'team' },
+  { id: 'comments', method: 'GET', re: /^\/comments\/thread$/, template: '/comments/thread' },
+  { id: 'me', method: 'GET', re: /^\/auth\/me$/, template: '/auth/me', auth: true },
+  { id: 'login', method: 'POST', re: /^\/auth\/login$/, template: '/auth/login' },
+  { id: 'refresh', method: 'POST', re: /^\/auth\/refresh$/, template: '/auth/refresh' },
+  { id: 'register', method: 'POST', re: /^\/auth\/register$/, template: '/auth/register', write: true },
+  { id: 'set_teams', method: 'PUT', re: /^\/user-teams$/, template: '/user-teams', auth: true, write: true },
+  { id: 'delete_me', method: 'DELETE', re: /^\/users\/me$/, template: '/users/me', auth: true, write: true },
+  { id: 'comment_post', method: 'POST', re: /^\/comments$/, template: '/comments', auth: true, write: true },
+  { id: 'comment_delete', method: 'DELETE', re: /^\/comments\/(\d+)$/, template: '/comments/:id', param: 'comment', auth: true, write: true },
+  { id: 'reaction_post', method: 'POST', re: /^\/lumps\/(\d+)\/reactions$/, template: '/lumps/:id/reactions', param: 'lump', auth: true, write: true },
+  { id: 'reaction_delete', method: 'DELETE', re: /^\/lumps\/(\d+)\/reactions$/, template: '/lumps/:id/reactions', param: 'lump', auth: true, write: true },
+  { id: 'team_follow', method: 'POST', re: /^\/user-teams\/(\d+)$/, template: '/user-teams/:id', param: 'team', auth: true, write: true },
+  { id: 'team_unfollow', method: 'DELETE', re: /^\/user-teams\/(\d+)$/, template: '/user-teams/:id', param: 'team', auth: true, write: true },
+];
+
+export function routeById(id) {
+  return ROUTES.find((r) => r.id === id) || null;
+}
+
+// Query keys that carry meaning for the API; everything else (cache busters,
+// analytics) is dropped.
+const QUERY_KEYS = ['after_date', 'before_date', 'cursor', 'lump_id'];
+
+const MONTHS = { Jan: 0, Feb: 1, Mar: 2, Apr: 3, May: 4, Jun: 5, Jul: 6, Aug: 7, Sep: 8, Oct: 9, Nov: 10, Dec: 11 };
+
+function parseQuery(qs) {
+  const out = {};
+  for (const part of (qs || '').replace(/^\?/, '').split('&')) {
+    if (!part) continue;
+    const [k, v = ''] = part.split('=');
+    try {
+      const key = decodeURIComponent(k);
+      if (QUERY_KEYS.includes(key)) out[key] = decodeURIComponent(v.replace(/\+/g, ' '));
+    } catch (_) {
+      // malformed percent-encoding (e.g. a truncated log line): drop the entry
+    }
+  }
+  return out;
+}
+
+/**
+ * Match a request onto a route template.
+ * @param {string} method
+ * @param {string} rawUrl absolute URL or path, with or without /api/v1
+ * @returns {{route: object|null, path: string, id: string|null, query: object}}
+ */
+export function normalizeRequest(method, rawUrl) {
+  const m = String(rawUrl).match(/^(?:[a-z]+:\/\/[^/]+)?([^?#]*)(\?[^#]*)?/i);
+  let path = m[1] || '/';
+  const api = path.indexOf('/api/v1');
+  if (api >= 0) path = path.slice(api + '/api/v1'.length) || '/';
+  path = path.replace(/\/+$/, '') || '/';
+
+  const query = parseQuery(m[2]);
+  const upper = String(method).toUpperCase();
+  for (const route of ROUTES) {
+    if (route.method !== upper) continue;
+    const hit = path.match(route.re);
+    if (hit) return { route, path, id: hit[1] ?? null, query };
+  }
+  return { route: null, path, id: null, query };
+}
+
+function entry(t, method, url, status, client, durationMs) {
+  const n = normalizeRequest(method, url);
+  return {
+    t,
+    method: String(method).toUpperCase(),
+    route: n.route ? n.route.id : null,
+    path: n.path,
+    id: n.id,
+    query: n.query,
+    status: Number(status) || 0,
+    client: client || '-',
+    durationMs: Number.isFinite(durationMs) ? durationMs : 0,
+  };
+}
+
+/** Entries of a HAR export, in start order. */
+export function parseHar(raw, path) {
+  const doc = JSON.parse(raw);
+  const items = doc?.log?.entries;
+  if (!Array.isArray(items)) throw new Error(`${path}: not a HAR file (no log.entries)`);
+
+  const out = [];
+  for (const e of items) {
+    const t = Date.parse(e.startedDateTime);
+    if (!Number.isFinite(t) || !e.request?.url) continue;
+    // Only API calls; the page's own assets are not ours to load-test.
+    if (!/\/api\/v1\//.test(e.request.url)) continue;
+    out.push(entry(t, e.request.method, e.request.url, e.response?.status, 'har', e.time));
+  }
+  return out.sort((a, b) => a.t - b.t);
+}
+
+// [19/Oct/2026:13:55:36 +0000]
+function parseClfTime(s) {
+  const m = s.match(/^(\d{2})\/(\w{3})\/(\d{4}):(\d{2}):(\d{2}):(\d{2})\s*([+-])(\d{2})(\d{2})$/);
+  if (!m || MONTHS[m[2]] === undefined) return NaN;
+  const utc = Date.UTC(+m[3], MONTHS[m[2]], +m[1], +m[4], +m[5], +m[6]);
+  const offset = (m[7] === '-' ? -1 : 1) * (+m[8] * 60 + +m[9]) * 60_000;
+  return utc - offset;
+}
+
+const CLF = /^(\S+) \S+ (\S+) \[([^\]]+)\] "(\S+) (\S+)[^"]*" (\d{3}) \S+(.*)$/;
+
+function parseLogLine(line) {
+  if (line.startsWith('{')) {
+    const j = JSON.parse(line);
+    const time = j.time ?? j.timestamp;
+    const t = typeof time === 'number' ? time : Date.parse(time);
+    const client = j.client ?? j.session ?? j.user ?? j.ip;
+    return entry(t, j.method, j.path ?? j.url ?? j.uri, j.status, client, j.duration_ms);
+  }
+
+  const m = line.match(CLF);
+  if (!m) return null;
+  const client = m[2] !== '-' ? m[2] : m[1];
+  // Trailing request time in seconds (nginx $request_time), if the format logs it.
+  const rt = m[7].match(/(\d+\.\d+)\s*$/);
+  return entry(parseClfTime(m[3]), m[4], m[5], m[6], client, rt ? parseFloat(rt[1]) * 1000 : undefined);
+}
+
+/** Entries of an access log (combined or JSON lines), in time order. */
+export function parseAccessLog(raw, path) {
+  const out = [];
+  let bad = 0;
+  for (const line of raw.split(/\r?\n/)) {
+    if (!line.trim()) continue;
+    let e = null;
+    try {
+      e = parseLogLine(line.trim());
+    } catch (_) {
+      e = null;
+    }
+    if (e && Number.isFinite(e.t)) out.push(e);
+    else bad++;
+  }
+  if (out.length === 0) throw new Error(`${path}: no parseable access-log lines`);
+  if (bad > 0) console.warn(`${path}: skipped ${bad} unparseable lines`);
+  return out.sort((a, b) => a.t - b.t);
+}
+
+/** Entries of a capture file, by extension: .har, anything else is an access log. */
+export function parseCapture(raw, path) {
+  return path.toLowerCase().endsWith('.har') ? parseHar(raw, path) : parseAccessLog(raw, path);
+}
+
+/**
+ * Group entries into sessions: per client, split on gaps over SESSION_GAP_SEC.
+ * @returns {{client: string, start: number, end: number, entries: object[]}[]} by start time
+ */
+export function sessionsOf(entries) {
+  const open = new Map();
+  const out = [];
+  for (const e of entries) {
+    let s = open.get(e.client);
+    if (!s || e.t - s.end > SESSION_GAP_SEC * 1000) {
+      s = { client: e.client, start: e.t, end: e.t, entries: [] };
+      open.set(e.client, s);
+      out.push(s);
+    }
+    s.entries.push(e);
+    s.end = Math.max(s.end, e.t + e.durationMs);
+  }
+  return out.sort((a, b) => a.start - b.start);
+}
+
+/** Requests that did not match any route, as { 'METHOD /path': count }, most frequent first. */
+export function unmatchedRoutes(entries, limit = 10) {
+  const counts = {};
+  for (const e of entries) {
+    if (e.route) continue;
+    // Numeric segments collapse so /foo/17 and /foo/18 count together.
+    const key = `${e.method} ${e.path.replace(/\/\d+(?=\/|$)/g, '/:n')}`;
+    counts[key] = (counts[key] || 0) + 1;
+  }
+  return Object.fromEntries(Object.entries(counts).sort((a, b) => b[1] - a[1]).slice(0, limit));
+}
+
+/** Totals of a capture for summaries. */
+export function captureStats(entries, sessions) {
+  return {
+    requests: entries.length,
+    matched: entries.filter((e) => e.route).length,
+    sessions: sessions.length,
+    span_sec: entries.length > 0 ? (entries[entries.length - 1].t - entries[0].t) / 1000 : 0,
+    routes: Array.from(new Set(entries.filter((e) => e.route).map((e) => e.route))),
+    unmatched: unmatchedRoutes(entries),
+  };
+}
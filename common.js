@@ -1,21 +1,393 @@
 // common.js
 import http from 'k6/http';
-import { sleep } from 'k6';
-import { Trend, Rate } from 'k6/metrics';
+import { check } from 'k6';
+import { Trend, Rate, Counter } from 'k6/metrics';
+import exec from 'k6/execution';
+import { uuidv4 } from 'https://jslib.k6.io/k6-utils/1.4.0/index.js';
+import { SCHEMAS, validateSchema, schemaPaths } from './schemas.js';
+import { envBool, envInt, envNumber } from './config.js';
+import { scenarioMaxVUs } from './profiles.js';
+import { SERVER_COMPONENTS, componentKey, serverTimings } from './servertiming.js';
 
 export const ttfb = new Trend('ttfb_ms', true);
 export const endpointFail = new Rate('endpoint_fail');
 
-export function randSleep(minSec = 0.3, maxSec = 1.3) {
-  const s = minSec + Math.random() * (maxSec - minSec);
-  sleep(s);
+// ------------------------
+// Global timing breakdown (client-side components)
+// ------------------------
+const T_CONNECTING = new Trend('timing_connecting', true);
+const T_TLS = new Trend('timing_tls_handshaking', true);
+const T_WAITING = new Trend('timing_waiting', true);
+
+const epAnyFailRate = new Rate('ep_any_fail_rate');
+const schemaViolations = new Counter('schema_violations');
+
+const VALIDATE_SCHEMAS = envBool('VALIDATE_SCHEMAS', true);
+// SCHEMA_GATE=1 fails the run on any schema violation; by default they are only reported.
+const SCHEMA_GATE = envBool('SCHEMA_GATE', false);
+
+// Summary-only submetrics (empty threshold lists) a script may declare. Each is
+// a time series, and a Trend submetric keeps its own copy of every sample.
+const SUBMETRIC_MAX = envInt('SUBMETRIC_MAX', 2000, { min: 0 });
+
+// Apdex target T: satisfied <= T, tolerating <= 4T, frustrated above or failed.
+export const APDEX_T_MS = envNumber('APDEX_T_MS', 500, { min: 1 });
+
+// ------------------------
+// Per-endpoint metrics registry
+// ------------------------
+// Every script declares its endpoints here so the summary table is identical
+// across scripts. Registration order is the row order of the table; an id that
+// is already registered (e.g. blended.js importing several scripts) is reused.
+const ENDPOINTS = [];
+
+function endpointId(key) {
+  return key.replace(/[A-Z]/g, (c) => `_${c.toLowerCase()}`);
+}
+
+/**
+ * Declare endpoints for a script. Must run in the init context.
+ * @param {Object<string, string>} labels map of key -> summary label,
+ *   e.g. { userTeams: 'GET /lumps/user-teams' } registers ep_user_teams_*.
+ * @returns {Object<string, object>} map of key -> endpoint metrics object
+ */
+export function defineEndpoints(labels) {
+  const out = {};
+  for (const [key, label] of Object.entries(labels)) {
+    const id = endpointId(key);
+    let ep = ENDPOINTS.find((e) => e.id === id);
+    if (!ep) {
+      ep = {
+        id,
+        label,
+        reqs: new Counter(`ep_${id}_reqs`),
+        fails: new Counter(`ep_${id}_fails`),
+        dur: new Trend(`ep_${id}_duration`, true),
+        schema: SCHEMAS[id] || null,
+        schemaViolations: new Counter(`ep_${id}_schema_violations`),
+        apdex: new Trend(`ep_${id}_apdex`),
+        hist: new Counter(`ep_${id}_latency_hist`),
+        // Backend components (servertiming.js) and client duration minus backend total.
+        server: Object.fromEntries(
+          SERVER_COMPONENTS.map((c) => [c, new Trend(`ep_${id}_server_${componentKey(c)}`, true)])
+        ),
+        overhead: SERVER_COMPONENTS.length > 0 ? new Trend(`ep_${id}_overhead`, true) : null,
+      };
+      ENDPOINTS.push(ep);
+    }
+    out[key] = ep;
+  }
+  return out;
+}
+
+// options.summaryTrendStats for every script: k6's default plus p(99) for the SLO table.
+export const SUMMARY_TREND_STATS = ['avg', 'min', 'med', 'max', 'p(90)', 'p(95)', 'p(99)'];
+
+/** `metric{tag:value,...}` — the key k6 uses for thresholds and summary submetrics. */
+export function submetricKey(metric, tags) {
+  const pairs = Object.entries(tags).map(([k, v]) => `${k}:${v}`);
+  return `${metric}{${pairs.join(',')}}`;
+}
+
+// Stop at init when the summary-only submetrics exceed SUBMETRIC_MAX, naming
+// the tags that account for most of them.
+function checkSubmetricBudget(thresholds) {
+  const keys = Object.keys(thresholds).filter((k) => k.includes('{') && thresholds[k].length === 0);
+  if (keys.length <= SUBMETRIC_MAX) return;
+  const byTag = {};
+  for (const k of keys) {
+    const tag = k.slice(k.indexOf('{') + 1).split(':')[0];
+    byTag[tag] = (byTag[tag] || 0) + 1;
+  }
+  const top = Object.entries(byTag).sort((a, b) => b[1] - a[1]).map(([t, n]) => `${t} ${n}`).join(', ');
+  throw new Error(
+    `${keys.length} summary submetrics declared, SUBMETRIC_MAX is ${SUBMETRIC_MAX} (by tag: ${top}); ` +
+      'reduce them (WINDOWS=off or a longer WINDOW_SEC, scrolling off, LATENCY_HIST=0) or raise SUBMETRIC_MAX'
+  );
+}
+
+/**
+ * Combine threshold maps; lists on the same key are concatenated (duplicates
+ * dropped) instead of the later map replacing the earlier one. Throws when the
+ * result holds more than SUBMETRIC_MAX summary-only submetrics.
+ */
+export function mergeThresholds(...sets) {
+  const out = {};
+  for (const set of sets) {
+    for (const [key, list] of Object.entries(set || {})) {
+      const prev = out[key] || [];
+      const seen = new Set(prev.map((t) => (typeof t === 'string' ? t : t.threshold)));
+      out[key] = prev.concat(list.filter((t) => !seen.has(typeof t === 'string' ? t : t.threshold)));
+    }
+  }
+  checkSubmetricBudget(out);
+  return out;
+}
+
+/**
+ * Thresholds every script adds for the registered endpoints. Entries with an
+ * empty list only make k6 keep the tagged submetric for handleSummary().
+ */
+export function endpointThresholds() {
+  const out = {
+    schema_violations: SCHEMA_GATE ? ['count<1'] : [],
+  };
+  for (const ep of ENDPOINTS) {
+    if (!ep.schema) continue;
+    for (const field of schemaPaths(ep.schema)) {
+      out[submetricKey(`ep_${ep.id}_schema_violations`, { field })] = [];
+    }
+  }
+  for (const ep of ENDPOINTS) {
+    for (const signature of FAILURE_SIGNATURES) {
+      out[submetricKey('failures', { endpoint: ep.id, signature })] = [];
+    }
+  }
+  if (LATENCY_HIST) {
+    for (const ep of ENDPOINTS) {
+      for (const le of HIST_LABELS) out[submetricKey(`ep_${ep.id}_latency_hist`, { le })] = [];
+    }
+  }
+  return out;
+}
+
+// ------------------------
+// Latency histograms
+// ------------------------
+// With LATENCY_HIST=1 (set by launch.mjs) every endpoint call is also counted
+// in a fixed latency bucket, ep_<id>_latency_hist{le:<upper bound ms>}, and the
+// counts go into SUMMARY_JSON. Percentiles of several k6 processes are then
+// merged from the bucket counts instead of averaging each process's p95.
+// Each bound is 20-50% above the previous one between 15ms and 10s; below 15ms
+// and above 10s the step is up to 100%. The last bucket (le:+Inf) is open.
+const LATENCY_HIST = envBool('LATENCY_HIST', false);
+
+export const HIST_BOUNDS_MS = [
+  1, 2, 3, 5, 7, 10, 15, 20, 30, 40, 50, 65, 80, 100, 125, 150, 200, 250, 300, 400, 500, 650, 800,
+  1000, 1250, 1500, 2000, 2500, 3000, 4000, 5000, 6500, 8000, 10000, 15000, 20000, 30000, 60000,
+];
+const HIST_LABELS = [...HIST_BOUNDS_MS.map(String), '+Inf'];
+
+function histLabel(ms) {
+  const i = HIST_BOUNDS_MS.findIndex((b) => ms <= b);
+  return HIST_LABELS[i < 0 ? HIST_BOUNDS_MS.length : i];
+}
+
+/**
+ * Bucket counts of an endpoint for SUMMARY_JSON, or null without LATENCY_HIST.
+ * @returns {{bounds_ms: number[], counts: number[]}|null} counts has one more
+ *   entry than bounds_ms: the open bucket above the last bound
+ */
+export function endpointHistogram(data, id) {
+  if (!LATENCY_HIST) return null;
+  return {
+    bounds_ms: HIST_BOUNDS_MS,
+    counts: HIST_LABELS.map((le) => metricVals(data, submetricKey(`ep_${id}_latency_hist`, { le }))?.count ?? 0),
+  };
+}
+
+// ------------------------
+// Failure forensics
+// ------------------------
+// Every failed endpoint call is counted in `failures{endpoint,signature}` and a
+// sample of them is logged as one JSON line carrying the X-Request-Id, so the
+// backend logs can be grepped for the exact request.
+//
+//   FAILURE_LOG                1 (default) / 0 — structured failure log lines
+//   FAILURE_LOG_PER_SIGNATURE  lines per VU per endpoint+signature (default 3)
+//   FAILURE_LOG_MAX            lines for the whole run (default 200). VUs share
+//                              no state, so this is split evenly: each VU may log
+//                              FAILURE_LOG_MAX / <VUs of all scenarios> lines, and
+//                              with more VUs than lines only the first
+//                              FAILURE_LOG_MAX VUs log, one line each.
+const FAILURE_LOG = envBool('FAILURE_LOG', true);
+const FAILURE_LOG_PER_SIGNATURE = envInt('FAILURE_LOG_PER_SIGNATURE', 3, { min: 0 });
+const FAILURE_LOG_MAX = envInt('FAILURE_LOG_MAX', 200, { min: 0 });
+
+const failures = new Counter('failures');
+
+// Statuses that get their own signature; anything else is <class>_other.
+const TRACKED_STATUSES = [400, 401, 403, 404, 409, 429, 500, 502, 503, 504];
+const FAILURE_SIGNATURES = [
+  'timeout',
+  'connection',
+  ...TRACKED_STATUSES.map((s) => `${Math.floor(s / 100)}xx_${s}`),
+  '4xx_other',
+  '5xx_other',
+  'other',
+];
+
+// k6 error codes: 1000-1099 generic / timeouts (1050 = request timeout), 1100+ network.
+function failureSignature(res) {
+  if (res.status === 0) {
+    const code = res.error_code || 0;
+    if (code === 1050 || /timeout/i.test(res.error || '')) return 'timeout';
+    return 'connection';
+  }
+  const cls = Math.floor(res.status / 100);
+  if (cls !== 4 && cls !== 5) return 'other';
+  return TRACKED_STATUSES.includes(res.status) ? `${cls}xx_${res.status}` : `${cls}xx_other`;
+}
+
+function requestIdOf(res) {
+  const headers = res?.request?.headers || {};
+  for (const [k, v] of Object.entries(headers)) {
+    if (k.toLowerCase() === 'x-request-id') return Array.isArray(v) ? v[0] : v;
+  }
+  return null;
+}
+
+/** Request params with a fresh X-Request-Id, so each failure maps to one request. */
+export function withRequestId(params) {
+  return { ...params, headers: { ...(params?.headers || {}), 'X-Request-Id': uuidv4() } };
+}
+
+// This VU's share of FAILURE_LOG_MAX; scenarios are only known outside init.
+let FAILURE_LOG_BUDGET = null;
+function failureLogBudget() {
+  if (FAILURE_LOG_BUDGET === null) {
+    const scenarios = Object.values(exec.test.options.scenarios || {});
+    const vus = Math.max(1, scenarios.reduce((n, sc) => n + scenarioMaxVUs(sc), 0));
+    FAILURE_LOG_BUDGET = vus <= FAILURE_LOG_MAX
+      ? Math.floor(FAILURE_LOG_MAX / vus)
+      : (exec.vu.idInTest <= FAILURE_LOG_MAX ? 1 : 0);
+  }
+  return FAILURE_LOG_BUDGET;
+}
+
+const FAILURE_LOGGED = new Map();
+let FAILURE_LOGGED_TOTAL = 0;
+
+function logFailure(ep, res, signature) {
+  const key = `${ep.id} ${signature}`;
+  const n = FAILURE_LOGGED.get(key) || 0;
+  if (n >= FAILURE_LOG_PER_SIGNATURE || FAILURE_LOGGED_TOTAL >= failureLogBudget()) return;
+  FAILURE_LOGGED.set(key, n + 1);
+  FAILURE_LOGGED_TOTAL++;
+
+  console.log(JSON.stringify({
+    type: 'request_failure',
+    endpoint: ep.id,
+    signature,
+    status: res.status,
+    error: res.error || null,
+    error_code: res.error_code || null,
+    request_id: requestIdOf(res),
+    method: res.request?.method || null,
+    url: res.request?.url || res.url || null,
+    duration_ms: res.timings?.duration ?? null,
+    scenario: exec.scenario.name,
+    vu: exec.vu.idInTest,
+    iteration: exec.vu.iterationInScenario,
+    time: new Date().toISOString(),
+    body: safeBodyPreview(res, 200),
+  }));
+}
+
+function recordFailure(ep, res) {
+  const signature = failureSignature(res);
+  failures.add(1, { endpoint: ep.id, signature });
+  if (FAILURE_LOG) logFailure(ep, res, signature);
+}
+
+function validateEndpoint(ep, res) {
+  let body;
+  try {
+    body = res.json();
+  } catch (_) {
+    body = undefined;
+  }
+  const fields = body === undefined ? ['$'] : validateSchema(ep.schema, body);
+  for (const field of fields) {
+    ep.schemaViolations.add(1, { field });
+    schemaViolations.add(1, { endpoint: ep.id });
+  }
+  check(res, { [`${ep.label} schema`]: () => fields.length === 0 });
+}
+
+export function recordTimingBreakdown(res) {
+  try {
+    const t = res?.timings || {};
+    if (Number.isFinite(t.connecting)) T_CONNECTING.add(t.connecting);
+    if (Number.isFinite(t.tls_handshaking)) T_TLS.add(t.tls_handshaking);
+    if (Number.isFinite(t.waiting)) T_WAITING.add(t.waiting);
+  } catch (_) {
+    // no-op
+  }
+}
+
+// Backend time from the response headers; overhead is the rest of the client
+// duration (network, load balancer, edge).
+function recordServerTiming(ep, res) {
+  const t = serverTimings(res);
+  if (!t) return;
+  for (const [c, ms] of Object.entries(t)) ep.server[c].add(ms);
+  ep.overhead.add(Math.max(0, res.timings.duration - t.total));
+}
+
+// 1 / 0.5 / 0 per request; the trend's avg is the endpoint's Apdex score.
+function apdexScore(durationMs, failed) {
+  if (failed || durationMs > 4 * APDEX_T_MS) return 0;
+  return durationMs <= APDEX_T_MS ? 1 : 0.5;
+}
+
+/** 2xx, or 304 Not Modified for a conditional request (cache.js). */
+export function isOk(res) {
+  return (res.status >= 200 && res.status < 300) || res.status === 304;
+}
+
+// Functions called with (ep, res) for every recorded response (guard.js).
+const RESPONSE_OBSERVERS = [];
+
+/** Have `fn(ep, res)` called for every response recordEndpoint() sees. Init context. */
+export function observeResponses(fn) {
+  RESPONSE_OBSERVERS.push(fn);
 }
 
-export function getJSON(url, params) {
-  const res = http.get(url, params);
+// Functions returning extra tags for every recordEndpoint() call (windows.js).
+const ENDPOINT_TAGGERS = [];
+
+/** Have `fn(ep)` return tags added to the ep_<id>_* metrics of every recorded call. Init context. */
+export function tagEndpoints(fn) {
+  ENDPOINT_TAGGERS.push(fn);
+}
+
+/**
+ * Record one call of a registered endpoint.
+ * @param {object} ep registry entry from defineEndpoints()
+ * @param {object} res k6 response
+ * @param {Object<string, string>} [tags] extra tags on ep_<id>_reqs/_fails/_duration (e.g. page depth)
+ * @param {number[]} [expectedStatuses] non-2xx statuses that are an expected answer here,
+ *   not a failure (e.g. 404 when cleaning up something already gone)
+ */
+export function recordEndpoint(ep, res, tags, expectedStatuses) {
+  if (ENDPOINT_TAGGERS.length > 0) tags = Object.assign({}, tags, ...ENDPOINT_TAGGERS.map((fn) => fn(ep)));
+  ep.reqs.add(1, tags);
+  ep.dur.add(res.timings.duration, tags);
+  if (LATENCY_HIST) ep.hist.add(1, { le: histLabel(res.timings.duration) });
+  recordTimingBreakdown(res);
+  recordServerTiming(ep, res);
+
+  const failed = !isOk(res) && !(expectedStatuses || []).includes(res.status);
+  if (failed) {
+    ep.fails.add(1, tags);
+    recordFailure(ep, res);
+  }
+  epAnyFailRate.add(failed ? 1 : 0, { endpoint: ep.id });
+  ep.apdex.add(apdexScore(res.timings.duration, failed));
+
+  // A 304 has no body to validate.
+  if (isOk(res) && res.status !== 304 && VALIDATE_SCHEMAS && ep.schema) validateEndpoint(ep, res);
+
+  for (const fn of RESPONSE_OBSERVERS) fn(ep, res);
+}
+
+export function getJSON(url, params, ep) {
+  const res = http.get(url, withRequestId(params));
   ttfb.add(res.timings.waiting);
-  const ok = res.status >= 200 && res.status < 300;
+  const ok = isOk(res);
   endpointFail.add(ok ? 0 : 1);
+  if (ep) recordEndpoint(ep, res);
   return res;
 }
 
@@ -40,3 +412,273 @@ export function safeBodyPreview(res, maxLen = 200) {
     return '';
   }
 }
+
+// ------------------------
+// Custom end-of-test summary table
+// ------------------------
+export function fmtMs(x) {
+  if (x === null || x === undefined || !Number.isFinite(x)) return '-';
+  return `${x.toFixed(1)}ms`;
+}
+export function fmtPct(x) {
+  if (x === null || x === undefined || !Number.isFinite(x)) return '-';
+  return `${(x * 100).toFixed(2)}%`;
+}
+export function fmtInt(x) {
+  if (x === null || x === undefined || !Number.isFinite(x)) return '-';
+  return `${Math.round(x)}`;
+}
+
+export function metricVals(data, metricName) {
+  const v = data?.metrics?.[metricName]?.values || null;
+  return v || null;
+}
+
+// Offending field paths shown per endpoint, most frequent first.
+const SCHEMA_TOP_FIELDS = 3;
+
+function schemaLines(data) {
+  const lines = [];
+  for (const ep of ENDPOINTS) {
+    if (!ep.schema) continue;
+    const total = data.metrics[`ep_${ep.id}_schema_violations`]?.values?.count ?? 0;
+    if (total === 0) continue;
+
+    const top = schemaPaths(ep.schema)
+      .map((field) => {
+        const key = submetricKey(`ep_${ep.id}_schema_violations`, { field });
+        return { field, count: data.metrics[key]?.values?.count ?? 0 };
+      })
+      .filter((f) => f.count > 0)
+      .sort((a, b) => b.count - a.count)
+      .slice(0, SCHEMA_TOP_FIELDS)
+      .map((f) => `${f.field} x${fmtInt(f.count)}`);
+
+    lines.push(`${ep.label}: ${fmtInt(total)} (${top.join(', ')})`);
+  }
+  return lines.length > 0 ? lines : ['none'];
+}
+
+// Failure signatures listed in the summary, most frequent first.
+const FAILURE_TOP = envInt('FAILURE_TOP', 10, { min: 1 });
+
+/** Non-zero failure signatures, most frequent first: [{ endpoint, label, signature, count }]. */
+export function failureRows(data) {
+  const rows = [];
+  for (const ep of ENDPOINTS) {
+    for (const signature of FAILURE_SIGNATURES) {
+      const count = data.metrics[submetricKey('failures', { endpoint: ep.id, signature })]?.values?.count ?? 0;
+      if (count > 0) rows.push({ endpoint: ep.id, label: ep.label, signature, count });
+    }
+  }
+  return rows.sort((a, b) => b.count - a.count);
+}
+
+function failureLines(data) {
+  const rows = failureRows(data);
+  if (rows.length === 0) return ['none'];
+
+  const byClass = {};
+  for (const r of rows) {
+    const cls = r.signature.split('_')[0];
+    byClass[cls] = (byClass[cls] || 0) + r.count;
+  }
+  const classes = Object.entries(byClass).map(([cls, n]) => `${cls}=${fmtInt(n)}`).join(' ');
+
+  return [
+    `by class: ${classes}`,
+    ...rows.slice(0, FAILURE_TOP).map((r) => `${r.label} ${r.signature} x${fmtInt(r.count)}`),
+  ];
+}
+
+function fmtTimingLine(label, v) {
+  if (!v) return `${label}: -`;
+  const avg = v.avg ?? null;
+  const p90 = v['p(90)'] ?? null;
+  const p95 = v['p(95)'] ?? null;
+  const max = v.max ?? null;
+  return `${label}: avg=${fmtMs(avg)} p90=${fmtMs(p90)} p95=${fmtMs(p95)} max=${fmtMs(max)}`;
+}
+
+export function epRowFromData(data, ep) {
+  const prefix = `ep_${ep.id}`;
+  const reqs = data.metrics[`${prefix}_reqs`]?.values?.count ?? 0;
+  const rps = data.metrics[`${prefix}_reqs`]?.values?.rate ?? null;
+  const fails = data.metrics[`${prefix}_fails`]?.values?.count ?? 0;
+
+  const dur = data.metrics[`${prefix}_duration`]?.values || {};
+  const avg = dur.avg ?? null;
+  const p90 = dur['p(90)'] ?? null;
+  const p95 = dur['p(95)'] ?? null;
+  const max = dur.max ?? null;
+
+  const failRate = reqs > 0 ? fails / reqs : 0;
+  const apdex = data.metrics[`${prefix}_apdex`]?.values?.avg ?? null;
+
+  return {
+    id: ep.id,
+    name: ep.label,
+    reqs,
+    rps,
+    fails,
+    failRate,
+    avg,
+    p90,
+    p95,
+    max,
+    apdex,
+  };
+}
+
+/** Ids of the registered endpoints, in registration order. */
+export function endpointIds() {
+  return ENDPOINTS.map((ep) => ep.id);
+}
+
+/** Rows for every registered endpoint, in registration order. */
+export function endpointRows(data) {
+  return ENDPOINTS.map((ep) => epRowFromData(data, ep));
+}
+
+/** true when every threshold on a metric (or submetric) key passed. */
+export function thresholdsOk(data, key) {
+  const t = data?.metrics?.[key]?.thresholds;
+  if (!t) return null;
+  return Object.values(t).every((x) => x.ok);
+}
+
+/**
+ * Per-scenario rows from the `{scenario:<name>}` submetrics. Scenarios must
+ * expose those keys in options.thresholds (see blended.js).
+ */
+export function scenarioRows(data, names) {
+  return names.map((name) => {
+    const tag = { scenario: name };
+    const iters = metricVals(data, submetricKey('iterations', tag));
+    const reqs = metricVals(data, submetricKey('http_reqs', tag));
+    const failed = metricVals(data, submetricKey('http_req_failed', tag));
+    const dur = metricVals(data, submetricKey('http_req_duration', tag)) || {};
+
+    const verdicts = Object.keys(data.metrics)
+      .filter((k) => k.endsWith(`{scenario:${name}}`))
+      .map((k) => thresholdsOk(data, k))
+      .filter((ok) => ok !== null);
+
+    return {
+      name,
+      iters: iters?.count ?? 0,
+      reqs: reqs?.count ?? 0,
+      failRate: failed?.rate ?? 0,
+      avg: dur.avg ?? null,
+      p95: dur['p(95)'] ?? null,
+      ok: verdicts.every(Boolean),
+    };
+  });
+}
+
+/** Plain-text per-scenario table with each population's threshold verdict. */
+export function scenarioSummary(data, names) {
+  const header =
+    '\n=== Per-scenario summary ===\n' +
+    'scenario | iters | reqs | fail% | avg | p95 | verdict\n' +
+    '-------- | ----:| ----:| -----:| ----:| ---:| -------\n';
+
+  const lines = scenarioRows(data, names)
+    .map((r) => {
+      return [
+        r.name,
+        fmtInt(r.iters).padStart(5),
+        fmtInt(r.reqs).padStart(5),
+        fmtPct(r.failRate).padStart(6),
+        fmtMs(r.avg).padStart(8),
+        fmtMs(r.p95).padStart(8),
+        r.ok ? 'PASS' : 'FAIL',
+      ].join(' | ');
+    })
+    .join('\n');
+
+  return header + lines + '\n';
+}
+
+/** Plain-text per-endpoint table + timing breakdown for handleSummary(). */
+export function endpointSummary(data) {
+  const header =
+    '\n=== Per-endpoint summary (custom) ===\n' +
+    'endpoint | reqs | fails | fail% | avg | p90 | p95 | max\n' +
+    '-------- | ----:| ----:| -----:| ----:| ---:| ---:| ---:\n';
+
+  const lines = endpointRows(data)
+    .map((r) => {
+      return [
+        r.name,
+        fmtInt(r.reqs).padStart(4),
+        fmtInt(r.fails).padStart(4),
+        fmtPct(r.failRate).padStart(6),
+        fmtMs(r.avg).padStart(8),
+        fmtMs(r.p90).padStart(8),
+        fmtMs(r.p95).padStart(8),
+        fmtMs(r.max).padStart(8),
+      ].join(' | ');
+    })
+    .join('\n');
+
+  const vConn = metricVals(data, 'timing_connecting');
+  const vTls = metricVals(data, 'timing_tls_handshaking');
+  const vWait = metricVals(data, 'timing_waiting');
+
+  const schemaBlock =
+    '\n=== Schema violations ===\n' + schemaLines(data).join('\n') + '\n';
+
+  const failureBlock =
+    '\n=== Top failure signatures ===\n' + failureLines(data).join('\n') + '\n';
+
+  const vIters = metricVals(data, 'iterations');
+  const vDropped = metricVals(data, 'dropped_iterations');
+
+  // k6 only reports the rate over the whole run, ramps and setup included, so
+  // it understates the rate held at the peak stage.
+  const throughputLine =
+    '\n=== Throughput ===\n' +
+    `iterations: ${fmtInt(vIters?.count ?? 0)} (${(vIters?.rate ?? 0).toFixed(2)}/s averaged over the whole run)\n` +
+    `dropped_iterations: ${fmtInt(vDropped?.count ?? 0)}\n`;
+
+  const timingLine =
+    '\n=== TIMINGS breakdown (global) ===\n' +
+    fmtTimingLine('connecting', vConn) + '\n' +
+    fmtTimingLine('tls_handshaking', vTls) + '\n' +
+    fmtTimingLine('waiting', vWait) + '\n\n';
+
+  return header + lines + '\n' + schemaBlock + failureBlock + throughputLine + timingLine + serverSplit(data);
+}
+
+// Client-vs-server table; empty when no response carried backend timings.
+function serverSplit(data) {
+  const rows = [];
+  for (const ep of ENDPOINTS) {
+    const total = metricVals(data, `ep_${ep.id}_server_total`);
+    if (!Number.isFinite(total?.avg)) continue;
+    const overhead = metricVals(data, `ep_${ep.id}_overhead`) || {};
+    const client = metricVals(data, `ep_${ep.id}_duration`) || {};
+    const share = total.avg + (overhead.avg ?? 0) > 0 ? total.avg / (total.avg + (overhead.avg ?? 0)) : null;
+    const parts = SERVER_COMPONENTS.filter((c) => c !== 'total')
+      .map((c) => [c, metricVals(data, `ep_${ep.id}_server_${componentKey(c)}`)])
+      .filter(([, v]) => Number.isFinite(v?.avg))
+      .map(([c, v]) => `${c} ${fmtMs(v.avg)}`);
+    rows.push([
+      ep.label,
+      fmtMs(client['p(95)']).padStart(8),
+      fmtMs(total['p(95)']).padStart(8),
+      fmtMs(overhead['p(95)']).padStart(8),
+      fmtPct(share).padStart(7),
+      parts.length > 0 ? parts.join(', ') : '-',
+    ].join(' | '));
+  }
+  if (rows.length === 0) return '';
+
+  return (
+    '=== Client vs server latency (Server-Timing) ===\n' +
+    'endpoint | client p95 | server p95 | overhead p95 | server share | components (avg)\n' +
+    '-------- | ---------:| ---------:| -----------:| -----------:| ----------------\n' +
+    rows.join('\n') + '\n\n'
+  );
+}
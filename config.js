@@ -0,0 +1,241 @@
+// config.js
+// Configuration shared by every script: the target environment, the request
+// tagging and typed, validated reads of the env settings.
+//
+//   ENV       named target environment from ENV_FILE (local, staging, prod).
+//             TARGET_ENV is read first, for shells that use ENV themselves.
+//             Unset: no environment, BASE_URL (default production) as before.
+//   ENV_FILE  environments file (default ./environments.json)
+//   BASE_URL  API root with or without /api/v1; overrides the environment's baseUrl,
+//             required for an environment without one
+//   TEST_TAG  sent as X-Test-Tag on every request. From the command line it is
+//             used as given; otherwise it is the environment's TEST_TAG (default
+//             chunky-k6) plus _<run start>, so every run can be told apart.
+//   TEST_RUN_ID  that run suffix instead of the start time; launch.mjs sets it
+//             so all of its processes share one tag
+//
+// {
+//   "staging": {
+//     "headers": { "X-Edge-Bypass": "..." },
+//     "vars": { "TEST_TAG": "chunky-k6-staging", "PROFILE": "load", "SCALE": 0.5 }
+//   },
+//   "prod": { "baseUrl": "https://api.chunkysports.com", "production": true }
+// }
+//
+// An environment has optionally: a baseUrl (without one, BASE_URL must be given),
+// production (guard.js then treats
+// its host as production, on top of PROD_HOSTS), headers sent on every request
+// and vars, defaults for any env setting (the command line wins). The guard's
+// ALLOW_PROD and PROD_MAX_VUS are only taken from the command line.
+//
+// Settings are read through envInt / envNumber / envProb / envBool /
+// envDuration / envEnum / envString / envList; a value that does not parse
+// stops the run at init, naming the setting and where it came from.
+import exec from 'k6/execution';
+import { uuidv4 } from 'https://jslib.k6.io/k6-utils/1.4.0/index.js';
+
+const ENV_FILE = __ENV.ENV_FILE || './environments.json';
+const DEFAULT_BASE_URL = 'https://api.chunkysports.com';
+
+// Never read from an environment's vars.
+const CLI_ONLY = ['ENV', 'TARGET_ENV', 'ENV_FILE', 'ALLOW_PROD', 'PROD_MAX_VUS'];
+const ENVIRONMENT_KEYS = ['description', 'baseUrl', 'production', 'headers', 'vars'];
+
+/** API root including /api/v1, whether or not `raw` already carries it. */
+export function apiBase(raw) {
+  const base = String(raw).replace(/\/+$/, '');
+  return base.endsWith('/api/v1') ? base : `${base}/api/v1`;
+}
+
+function loadEnvironment(name) {
+  if (!name) return { baseUrl: DEFAULT_BASE_URL, headers: {}, vars: {} };
+
+  let all;
+  try {
+    all = JSON.parse(open(ENV_FILE));
+  } catch (e) {
+    throw new Error(`ENV=${name}: cannot read ${ENV_FILE} (${e.message || e})`);
+  }
+  const env = all[name];
+  if (!env || typeof env !== 'object') {
+    throw new Error(`Unknown ENV "${name}" (${ENV_FILE} has: ${Object.keys(all).join(', ')})`);
+  }
+
+  const where = `${ENV_FILE}: ${name}`;
+  for (const key of Object.keys(env)) {
+    if (!ENVIRONMENT_KEYS.includes(key)) throw new Error(`${where}: unknown key "${key}"`);
+  }
+  if (env.baseUrl !== undefined && (typeof env.baseUrl !== 'string' || !/^https?:\/\/[^/]+/.test(env.baseUrl))) {
+    throw new Error(`${where}: baseUrl must be an http(s) URL`);
+  }
+  for (const [k, v] of Object.entries(env.headers || {})) {
+    if (typeof v !== 'string') throw new Error(`${where}: header ${k} must be a string`);
+  }
+  for (const [k, v] of Object.entries(env.vars || {})) {
+    if (CLI_ONLY.includes(k)) throw new Error(`${where}: ${k} can only be set on the command line`);
+    if (v === null || typeof v === 'object') throw new Error(`${where}: vars.${k} must be a string, number or boolean`);
+  }
+  return { ...env, headers: env.headers || {}, vars: env.vars || {} };
+}
+
+/** Name of the target environment, or null without ENV. */
+export const ENV_NAME = __ENV.TARGET_ENV || __ENV.ENV || null;
+const ENVIRONMENT = loadEnvironment(ENV_NAME);
+
+/** True when the environment is marked "production" in ENV_FILE. */
+export const PRODUCTION_ENV = ENVIRONMENT.production === true;
+
+// ------------------------
+// Typed settings
+// ------------------------
+// { value, source } of a setting: the command line, then the environment's vars.
+function setting(name) {
+  const cli = __ENV[name];
+  if (cli !== undefined && cli !== '') return { value: String(cli).trim(), source: 'command line' };
+  const v = CLI_ONLY.includes(name) ? undefined : ENVIRONMENT.vars[name];
+  if (v !== undefined) return { value: String(v).trim(), source: `${ENV_FILE}: ${ENV_NAME}` };
+  return null;
+}
+
+function invalid(name, s, expected) {
+  throw new Error(`Invalid ${name}="${s.value}" (${s.source}): expected ${expected}`);
+}
+
+function bounds(min, max) {
+  if (min !== undefined && max !== undefined) return ` between ${min} and ${max}`;
+  if (min !== undefined) return ` >= ${min}`;
+  if (max !== undefined) return ` <= ${max}`;
+  return '';
+}
+
+function parseNumber(name, s, { min, max } = {}, integer = false) {
+  const kind = integer ? 'an integer' : 'a number';
+  const x = /^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i.test(s.value) ? Number(s.value) : NaN;
+  if (!Number.isFinite(x) || (integer && !Number.isInteger(x))) invalid(name, s, kind + bounds(min, max));
+  if ((min !== undefined && x < min) || (max !== undefined && x > max)) invalid(name, s, kind + bounds(min, max));
+  return x;
+}
+
+/**
+ * Integer setting.
+ * @param {string} name
+ * @param {number|null} def value when unset
+ * @param {{min?: number, max?: number}} [range] inclusive limits
+ */
+export function envInt(name, def, range) {
+  const s = setting(name);
+  return s ? parseNumber(name, s, range, true) : def;
+}
+
+/** Numeric setting; as envInt() but fractions allowed. */
+export function envNumber(name, def, range) {
+  const s = setting(name);
+  return s ? parseNumber(name, s, range) : def;
+}
+
+/** Probability setting, 0..1. */
+export function envProb(name, def) {
+  const s = setting(name);
+  if (!s) return def;
+  const x = /^(\d+\.?\d*|\.\d+)$/.test(s.value) ? Number(s.value) : NaN;
+  if (!(x >= 0 && x <= 1)) invalid(name, s, 'a probability between 0 and 1');
+  return x;
+}
+
+/** Boolean setting: 1 / true / yes / on or 0 / false / no / off. */
+export function envBool(name, def) {
+  const s = setting(name);
+  if (!s) return def;
+  const v = s.value.toLowerCase();
+  if (['1', 'true', 'yes', 'on'].includes(v)) return true;
+  if (['0', 'false', 'no', 'off'].includes(v)) return false;
+  return invalid(name, s, '1 or 0');
+}
+
+const DURATION = /^(\d+(\.\d+)?(ms|s|m|h))+$/;
+
+/** k6 duration setting (30s, 10m, 1h30m); returned as the string k6 takes. */
+export function envDuration(name, def) {
+  const s = setting(name);
+  if (!s) return def;
+  if (!DURATION.test(s.value)) invalid(name, s, 'a duration such as 30s, 10m or 1h30m');
+  return s.value;
+}
+
+const UNIT_MS = { ms: 1, s: 1000, m: 60_000, h: 3_600_000 };
+
+/** Milliseconds of a k6 duration string (30s, 10m, 1h30m). */
+export function durationMs(s) {
+  if (!DURATION.test(String(s))) throw new Error(`Not a duration: "${s}"`);
+  let ms = 0;
+  for (const [, n, , unit] of String(s).matchAll(/(\d+(\.\d+)?)(ms|s|m|h)/g)) ms += parseFloat(n) * UNIT_MS[unit];
+  return ms;
+}
+
+/** Setting restricted to `values`. */
+export function envEnum(name, def, values) {
+  const s = setting(name);
+  if (!s) return def;
+  if (!values.includes(s.value)) invalid(name, s, `one of ${values.join(', ')}`);
+  return s.value;
+}
+
+/** Free-form string setting (paths, names). */
+export function envString(name, def) {
+  const s = setting(name);
+  return s ? s.value : def;
+}
+
+/** Comma-separated setting as a list of trimmed, non-empty items. */
+export function envList(name, def) {
+  const s = setting(name);
+  const raw = s ? s.value : def;
+  return String(raw)
+    .split(',')
+    .map((x) => x.trim())
+    .filter(Boolean);
+}
+
+// ------------------------
+// Target and tagging
+// ------------------------
+function baseUrlSetting() {
+  const s = setting('BASE_URL');
+  if (!s && !ENVIRONMENT.baseUrl) throw new Error(`ENV=${ENV_NAME}: ${ENV_FILE} has no baseUrl for it; set BASE_URL`);
+  if (!s) return ENVIRONMENT.baseUrl;
+  if (!/^https?:\/\/[^/]+/.test(s.value)) invalid('BASE_URL', s, 'an http(s) URL');
+  return s.value;
+}
+
+/** API root including /api/v1 of the target; every script builds its URLs on it. */
+export const API_BASE = apiBase(baseUrlSetting());
+
+function testTagSetting() {
+  const s = setting('TEST_TAG');
+  if (s && s.source === 'command line') return s.value;
+  return `${s ? s.value : 'chunky-k6'}_${__ENV.TEST_RUN_ID || new Date().toISOString()}`;
+}
+
+/**
+ * Test tag as this init context computed it. Each VU runs the init code at its
+ * own time, so the start-time suffix differs between them: scripts put this
+ * into options.tags.test_tag, and everything at run time uses testTag().
+ */
+export const TEST_TAG = testTagSetting();
+
+/** Test tag of this run, sent as X-Test-Tag and written into created content. */
+export function testTag() {
+  try {
+    return exec.test.options.tags?.test_tag || TEST_TAG;
+  } catch (e) {
+    return TEST_TAG; // init context: no options yet
+  }
+}
+
+/**
+ * Headers every request carries: the environment's headers, X-Test-Tag and a
+ * fresh X-Request-Id, then `headers`.
+ */
+export function tagHeaders(headers) {
+  return { ...ENVIRONMENT.headers, 'X-Test-Tag': testTag(), 'X-Request-Id': uuidv4(), ...(headers || {}) };
+}
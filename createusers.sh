@@ -1,16 +1,23 @@
 #!/bin/bash
 #
-cat > users.json <<'EOF'
+# Writes the credential pool read by credentials.js.
+#   ./createusers.sh [count]   (default 500: one account per VU of blended.js up to PROFILE=spike)
+# USER_PREFIX / USER_DOMAIN / PASSWORD override the account naming.
+COUNT="${1:-500}"
+PREFIX="${USER_PREFIX:-testuser}"
+DOMAIN="${USER_DOMAIN:-chunky.test}"
+PASS="${PASSWORD:-Test1234!}"
+
+cat > users.json <<'JSON'
 [
-EOF
+JSON
 
-for i in $(seq -w 1 99); do
+for i in $(seq -f '%04g' 1 "$COUNT"); do
   comma=","
-  [ "$i" = "99" ] && comma=""
-  printf '  { "email": "testuser00%s@chunky.test", "password": "Test1234!" }%s\n' "$i" "$comma" >> users.json
+  [ "$((10#$i))" = "$COUNT" ] && comma=""
+  printf '  { "email": "%s%s@%s", "password": "%s" }%s\n' "$PREFIX" "$i" "$DOMAIN" "$PASS" "$comma" >> users.json
 done
 
-cat >> users.json <<'EOF'
+cat >> users.json <<'JSON'
 ]
-EOF
-
+JSON
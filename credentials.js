@@ -0,0 +1,108 @@
+// credentials.js
+// Test-account pool shared by every logged-in flow.
+//
+//   USERS_FILE    users.json (array of { email, password? }) or a .csv with an
+//                 `email[,password]` header (default ./users.json)
+//   PASSWORD      password for entries that do not carry their own (users.js)
+//   USER_SHARING  what to do when VUs outnumber accounts:
+//                   off   (default) abort the run in setup()
+//                   warn  log a warning, VUs wrap around and share accounts
+//                   share wrap around silently
+//
+// Accounts are assigned per VU, never per iteration: the VU's instance id picks
+// the account. k6 numbers VUs across all scenarios of a run and hands them to
+// scenarios in no fixed order, so in a mixed run (blended.js) the logged-in
+// VUs can have any id up to the run's total; the capacity check therefore
+// counts every scenario's VUs, not just the logged-in one. When the run is
+// split with --execution-segment, each load generator only draws from its own
+// slice of the pool, so several generators never log in as the same account.
+import { SharedArray } from 'k6/data';
+import exec from 'k6/execution';
+import { scenarioMaxVUs } from './profiles.js';
+import { envEnum, envString } from './config.js';
+import { parseUsers } from './users.js';
+
+const USERS_FILE = envString('USERS_FILE', './users.json');
+const USER_SHARING = envEnum('USER_SHARING', 'off', ['off', 'warn', 'share']);
+
+const POOL = new SharedArray('credential_pool', () => parseUsers(open(USERS_FILE), USERS_FILE));
+
+// "a/b" or decimal -> number
+function fraction(s) {
+  const [num, den] = String(s).split('/');
+  return den === undefined ? parseFloat(num) : parseFloat(num) / parseFloat(den);
+}
+
+/** [start, end) fraction of the test owned by this instance (--execution-segment). */
+function segmentBounds() {
+  const seg = exec.test.options.executionSegment;
+  if (!seg) return [0, 1];
+  const parts = String(seg).split(':');
+  return parts.length === 1 ? [0, fraction(parts[0])] : [fraction(parts[0]), fraction(parts[1])];
+}
+
+/** Slice of the pool this load generator may use. */
+function partition() {
+  const [from, to] = segmentBounds();
+  const start = Math.floor(from * POOL.length);
+  const end = Math.max(start + 1, Math.floor(to * POOL.length));
+  return { start, size: Math.min(end, POOL.length) - start, share: to - from };
+}
+
+// VUs this instance can run, all scenarios together.
+function instanceVUs() {
+  const scenarios = Object.values(exec.test.options.scenarios || {});
+  return Math.ceil(scenarios.reduce((n, sc) => n + scenarioMaxVUs(sc), 0) * partition().share);
+}
+
+/**
+ * Fail fast (setup()) when VUs running the named scenario on this instance
+ * could get an id beyond its pool slice, unless USER_SHARING allows it. Any VU
+ * of the run may serve the scenario, so all scenarios' VUs are counted.
+ */
+export function checkPoolCapacity(scenarioName) {
+  const { size } = partition();
+  const scenarios = exec.test.options.scenarios || {};
+  const vus = instanceVUs();
+  if (vus <= size) return;
+
+  const others = Object.keys(scenarios).length > 1 ? ` (VU ids are shared by all ${Object.keys(scenarios).length} scenarios)` : '';
+  const msg = `credential pool: "${scenarioName}" may run on any of up to ${vus} VUs${others} but only ${size} accounts ` +
+    `are in this instance's slice of ${USERS_FILE} (${POOL.length} total)`;
+  if (USER_SHARING === 'off') {
+    exec.test.abort(`${msg}; add accounts or set USER_SHARING=warn|share`);
+  }
+  if (USER_SHARING === 'warn') console.warn(`${msg}; VUs will share accounts`);
+}
+
+let VU_CREDENTIAL = null;
+
+/**
+ * The account this VU logs in with, stable for the VU's lifetime. Distinct VUs
+ * get distinct accounts while the slice has one per VU of the instance
+ * (checkPoolCapacity()); past that they wrap around (USER_SHARING).
+ */
+export function vuCredential() {
+  if (VU_CREDENTIAL) return VU_CREDENTIAL;
+  const { start, size } = partition();
+  const idx = start + ((exec.vu.idInInstance - 1) % size);
+  VU_CREDENTIAL = POOL[idx];
+  return VU_CREDENTIAL;
+}
+
+/** First account of this instance's slice, for checks outside a VU (setup()). */
+export function sampleCredential() {
+  return POOL[partition().start];
+}
+
+/** Every account a VU of this instance can be given, for setup() / teardown() work per account. */
+export function instanceCredentials() {
+  const { start, size } = partition();
+  const out = [];
+  for (let i = 0; i < Math.min(size, instanceVUs()); i++) out.push(POOL[start + i]);
+  return out;
+}
+
+export function poolSize() {
+  return POOL.length;
+}
@@ -0,0 +1,173 @@
+// guard.js
+// Production guardrails shared by every script.
+//
+//  - Target check (init): a BASE_URL on a production host is refused unless
+//    ALLOW_PROD=1 and PROD_MAX_VUS are both set, and setup() aborts when the
+//    test can run more VUs (all scenarios together) than PROD_MAX_VUS.
+//  - Preflight (setup()): GET GUARD_HEALTH_PATH must answer 2xx and, for the
+//    logged-in scripts, a pool account must be able to log in. Otherwise the
+//    run is aborted before any load is generated.
+//  - Circuit breaker: every endpoint response (common.js recordEndpoint) feeds
+//    guard_5xx and guard_slow (slower than GUARD_KILL_P95_MS), and abortOnFail
+//    thresholds stop the test once, over all VUs, the 5xx rate exceeds
+//    GUARD_KILL_5XX or more than 5% of responses are slow (p95 above
+//    GUARD_KILL_P95_MS). They are first evaluated GUARD_DELAY into the run.
+//    k6 thresholds cover the whole run so far, not a sliding window: a late
+//    spike has to outweigh the healthy traffic before it, so GUARD_KILL_5XX
+//    against production should be set well below what the API can take.
+//    There is no per-VU breaker: one VU sees too few responses to tell a
+//    fleet-wide problem from noise, and with thousands of VUs one of them
+//    would trip on noise alone.
+//
+//   PROD_HOSTS         production hostnames (default api.chunkysports.com,chunkysports.com);
+//                      an environment marked "production" (config.js) adds its own host
+//   ALLOW_PROD         1 to allow a production target (command line only)
+//   PROD_MAX_VUS       peak VU cap, required with ALLOW_PROD (command line only)
+//   GUARD_HEALTH_PATH  preflight request under /api/v1 (default /lumps/latest)
+//   GUARD_KILL_5XX     5xx rate that trips the breaker (default 0.10)
+//   GUARD_KILL_P95_MS  p95 latency that trips the breaker (default 5000)
+//   GUARD_DELAY        time into the run before the breaker is evaluated (default 30s)
+//   GUARD_BREAKER      0 disables the breaker; refused against production
+import http from 'k6/http';
+import { Rate } from 'k6/metrics';
+import exec from 'k6/execution';
+import { isOk, observeResponses, metricVals, fmtPct } from './common.js';
+import {
+  API_BASE,
+  PRODUCTION_ENV,
+  apiBase,
+  tagHeaders,
+  envBool,
+  envDuration,
+  envInt,
+  envList,
+  envNumber,
+  envProb,
+  envString
+} from './config.js';
+import { scenarioMaxVUs } from './profiles.js';
+
+const PROD_HOSTS = envList('PROD_HOSTS', 'api.chunkysports.com,chunkysports.com')
+  .map((h) => h.toLowerCase())
+  .concat(PRODUCTION_ENV ? [hostOf(API_BASE)] : []);
+const ALLOW_PROD = envBool('ALLOW_PROD', false);
+const PROD_MAX_VUS = envInt('PROD_MAX_VUS', null, { min: 1 });
+const HEALTH_PATH = envString('GUARD_HEALTH_PATH', '/lumps/latest');
+const KILL_5XX = envProb('GUARD_KILL_5XX', 0.1);
+const KILL_P95_MS = envNumber('GUARD_KILL_P95_MS', 5000, { min: 1 });
+const DELAY = envDuration('GUARD_DELAY', '30s');
+const BREAKER = envBool('GUARD_BREAKER', true);
+
+// p95 <= GUARD_KILL_P95_MS as long as at most 5% of responses are slower; a
+// Rate keeps no samples, unlike a Trend.
+const SLOW_RATE = 0.05;
+
+const guard5xx = new Rate('guard_5xx');
+const guardSlow = new Rate('guard_slow');
+
+function hostOf(url) {
+  const m = String(url).match(/^[a-z]+:\/\/([^/:?#]+)/i);
+  return m ? m[1].toLowerCase() : '';
+}
+
+/** True when `url` points at a production host (PROD_HOSTS). */
+export function isProduction(url) {
+  return PROD_HOSTS.includes(hostOf(url));
+}
+
+/**
+ * Refuse a production target without ALLOW_PROD=1 and PROD_MAX_VUS (init
+ * context; throwing here stops k6 before any VU starts).
+ * @returns {string} baseUrl, unchanged
+ */
+export function guardTarget(baseUrl) {
+  if (!isProduction(baseUrl)) return baseUrl;
+  if (!ALLOW_PROD || !(PROD_MAX_VUS > 0)) {
+    throw new Error(
+      `Refusing to load-test production (${hostOf(baseUrl)}): pick a test environment (ENV / BASE_URL), ` +
+        'or ALLOW_PROD=1 and PROD_MAX_VUS=<cap> if this is really intended'
+    );
+  }
+  if (!BREAKER) throw new Error('GUARD_BREAKER=0 is not allowed against production');
+  return baseUrl;
+}
+
+function plannedVUs() {
+  const scenarios = exec.test.options.scenarios || {};
+  return Object.values(scenarios).reduce((n, sc) => n + scenarioMaxVUs(sc), 0);
+}
+
+/**
+ * setup() checks: production VU cap, health request and (with `credential`)
+ * a login. Aborts the test on the first failure.
+ * @param {string} baseUrl API root, with or without /api/v1
+ * @param {{email: string, password: string}} [credential] pool account to log in with
+ */
+export function preflight(baseUrl, credential) {
+  if (isProduction(baseUrl)) {
+    const vus = plannedVUs();
+    if (vus > PROD_MAX_VUS) {
+      exec.test.abort(`guard: up to ${vus} VUs planned against production, PROD_MAX_VUS is ${PROD_MAX_VUS}`);
+    }
+  }
+
+  const api = apiBase(baseUrl);
+  const params = { headers: tagHeaders({ 'Content-Type': 'application/json' }), tags: { guard: 'preflight' } };
+
+  const health = http.get(`${api}${HEALTH_PATH}`, params);
+  if (!isOk(health)) {
+    exec.test.abort(`guard preflight: GET ${HEALTH_PATH} answered ${health.status} ${health.error || ''}`.trim());
+  }
+
+  if (credential) {
+    const login = http.post(`${api}/auth/login`, JSON.stringify(credential), params);
+    let token = null;
+    try {
+      token = login.json('token');
+    } catch (_) {
+      token = null;
+    }
+    if (login.status !== 200 || typeof token !== 'string') {
+      exec.test.abort(`guard preflight: login as ${credential.email} answered ${login.status}`);
+    }
+  }
+}
+
+// ------------------------
+// Circuit breaker
+// ------------------------
+function watch(ep, res) {
+  guard5xx.add(res.status >= 500 && res.status < 600 ? 1 : 0);
+  guardSlow.add(res.timings.duration > KILL_P95_MS ? 1 : 0);
+}
+
+observeResponses(watch);
+
+/** Circuit breaker: abortOnFail thresholds on the kill limits, over all VUs. */
+export function guardThresholds() {
+  if (!BREAKER) return { guard_5xx: [], guard_slow: [] };
+  return {
+    guard_5xx: [{ threshold: `rate<=${KILL_5XX}`, abortOnFail: true, delayAbortEval: DELAY }],
+    guard_slow: [{ threshold: `rate<=${SLOW_RATE}`, abortOnFail: true, delayAbortEval: DELAY }],
+  };
+}
+
+// True when one of the metric's thresholds failed.
+function tripped(data, metric) {
+  return Object.values(data.metrics[metric]?.thresholds || {}).some((t) => !t.ok);
+}
+
+/** Plain-text guardrail status for handleSummary(). */
+export function guardSummary(data, baseUrl) {
+  const target = isProduction(baseUrl) ? `PRODUCTION (cap ${PROD_MAX_VUS} VUs)` : 'non-production';
+  let breaker = 'off';
+  if (BREAKER) {
+    const rate5xx = metricVals(data, 'guard_5xx')?.rate ?? 0;
+    const slow = metricVals(data, 'guard_slow')?.rate ?? 0;
+    const trip = tripped(data, 'guard_5xx') || tripped(data, 'guard_slow');
+    breaker =
+      `5xx ${fmtPct(rate5xx)} (limit ${fmtPct(KILL_5XX)}), slower than ${KILL_P95_MS}ms ` +
+      `${fmtPct(slow)} (limit ${fmtPct(SLOW_RATE)}) over all VUs: ${trip ? 'TRIPPED' : 'not tripped'}`;
+  }
+  return `\n=== Guardrails ===\ntarget: ${hostOf(baseUrl) || baseUrl} ${target}\ncircuit breaker: ${breaker}\n`;
+}
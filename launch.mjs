@@ -0,0 +1,335 @@
+// launch.mjs
+
+/**
+ * Scale a test out over several local k6 processes and merge their results.
+ *
+ * Usage:
+ *   node launch.mjs true_user.js [k6 run flags, e.g. -e ENV=staging]
+ *   LAUNCH_PROCS=4 node launch.mjs blended.js
+ *   node launch.mjs --merge run1/part-0.json run1/part-1.json ...
+ *
+ * Each process runs its own execution segment of the script (i/N:(i+1)/N), so
+ * together they produce the configured load once, and credentials.js hands
+ * every process its own slice of the account pool. Processes run with
+ * LATENCY_HIST=1 and write SUMMARY_JSON to LAUNCH_OUT/part-<i>.json; their
+ * output goes to part-<i>.log. The parts are merged into LAUNCH_OUT/merged.json
+ * (same layout as SUMMARY_JSON, so it can serve as a BASELINE_FILE) and a
+ * per-endpoint table on stdout:
+ *   - requests, failures, rps, checks and failure signatures are summed
+ *   - avg and Apdex are weighted by requests, max is the max
+ *   - p90 / p95 / p99 are recomputed from the summed latency histograms
+ *     (common.js), never averaged. They are approximate: interpolated inside
+ *     a bucket, they can be off by that bucket's width (20-50% of the value
+ *     between 15ms and 10s, up to 100% outside)
+ *   - thresholds are not re-evaluated on the merged numbers: each process
+ *     checked them on its own share of the load, and a threshold or endpoint
+ *     fails when it failed in any process
+ *
+ * Env:
+ *   LAUNCH_PROCS  k6 processes (default: CPU count)
+ *   LAUNCH_OUT    output directory (default launch-<script>-<timestamp>)
+ *   K6_BIN        k6 executable (default k6)
+ *   SUMMARY_JSON  also write the merged document here
+ *
+ * Every other env variable is passed through, so ENV / PROFILE / ... apply to
+ * all processes. TEST_RUN_ID defaults to the launch time, so the processes
+ * share one default TEST_TAG (config.js). JUNIT_XML and SUMMARY_CSV are not
+ * passed on; the processes would overwrite each other's files.
+ *
+ * Exit code: 0 when every process exited 0, 99 when thresholds failed in any
+ * of them, else the first non-zero code.
+ */
+
+import { spawn } from "node:child_process";
+import { createWriteStream, mkdirSync, readFileSync, writeFileSync } from "node:fs";
+import { availableParallelism } from "node:os";
+import { basename, resolve } from "node:path";
+
+const PROCS = parseInt(process.env.LAUNCH_PROCS || String(availableParallelism()), 10);
+const K6_BIN = process.env.K6_BIN || "k6";
+const TEST_RUN_ID = process.env.TEST_RUN_ID || new Date().toISOString();
+// k6's REST API listens on 6565; every process gets its own port from there.
+const API_PORT = 6565;
+const THRESHOLDS_FAILED = 99;
+
+// ------------------------
+// Launch
+// ------------------------
+function segment(i, n) {
+  const at = (k) => (k === 0 ? "0" : k === n ? "1" : `${k}/${n}`);
+  return `${at(i)}:${at(i + 1)}`;
+}
+
+function segmentSequence(n) {
+  return Array.from({ length: n + 1 }, (_, k) => (k === 0 ? "0" : k === n ? "1" : `${k}/${n}`)).join(",");
+}
+
+function runPart(i, n, script, extraArgs, outDir) {
+  const env = {
+    ...process.env,
+    TEST_RUN_ID,
+    LATENCY_HIST: "1",
+    SUMMARY_JSON: resolve(outDir, `part-${i}.json`),
+    HTML_REPORT: resolve(outDir, `part-${i}.html`),
+  };
+  delete env.JUNIT_XML;
+  delete env.SUMMARY_CSV;
+
+  const args = [
+    "run",
+    "--execution-segment", segment(i, n),
+    "--execution-segment-sequence", segmentSequence(n),
+    "--address", `127.0.0.1:${API_PORT + i}`,
+    ...extraArgs,
+    script,
+  ];
+  const log = createWriteStream(resolve(outDir, `part-${i}.log`));
+  const child = spawn(K6_BIN, args, { env, stdio: ["ignore", "pipe", "pipe"] });
+  child.stdout.pipe(log);
+  child.stderr.pipe(log);
+  console.log(`[launch] part ${i}: pid ${child.pid}, segment ${segment(i, n)}`);
+
+  return new Promise((done) => {
+    child.on("error", (e) => {
+      console.error(`[launch] part ${i}: ${e.message}`);
+      done(1);
+    });
+    child.on("close", (code, signal) => {
+      console.log(`[launch] part ${i}: exited ${signal || code}`);
+      done(code ?? 1);
+    });
+  });
+}
+
+async function launch(script, extraArgs) {
+  if (!(PROCS >= 1)) throw new Error(`LAUNCH_PROCS must be >= 1 (got ${process.env.LAUNCH_PROCS})`);
+  const name = basename(script).replace(/\.js$/, "");
+  const outDir = resolve(process.env.LAUNCH_OUT || `launch-${name}-${new Date().toISOString().replace(/[:.]/g, "-")}`);
+  mkdirSync(outDir, { recursive: true });
+  console.log(`[launch] ${PROCS} x ${K6_BIN} run ${script} -> ${outDir}`);
+
+  // Ctrl-C reaches the children through the process group; k6 stops
+  // gracefully and still writes its summary.
+  process.on("SIGINT", () => console.log("[launch] interrupted, waiting for k6 to finish"));
+
+  const codes = await Promise.all(
+    Array.from({ length: PROCS }, (_, i) => runPart(i, PROCS, script, extraArgs, outDir))
+  );
+
+  const parts = [];
+  for (let i = 0; i < PROCS; i++) {
+    const file = resolve(outDir, `part-${i}.json`);
+    try {
+      parts.push(JSON.parse(readFileSync(file, "utf8")));
+    } catch (_) {
+      console.error(`[launch] part ${i}: no summary (${file}); see part-${i}.log`);
+    }
+  }
+  if (parts.length > 0) writeMerged(mergeSummaries(parts), resolve(outDir, "merged.json"));
+
+  if (codes.every((c) => c === 0) && parts.length === PROCS) return 0;
+  if (codes.includes(THRESHOLDS_FAILED)) return THRESHOLDS_FAILED;
+  return codes.find((c) => c !== 0) || 1;
+}
+
+// ------------------------
+// Merge
+// ------------------------
+function sum(values) {
+  return values.reduce((a, b) => a + (b ?? 0), 0);
+}
+
+function maxOf(values) {
+  const v = values.filter(Number.isFinite);
+  return v.length > 0 ? Math.max(...v) : null;
+}
+
+// Mean of `key` over parts, weighted by their request counts.
+function weighted(items, key) {
+  const known = items.filter((e) => Number.isFinite(e[key]) && e.reqs > 0);
+  const n = sum(known.map((e) => e.reqs));
+  return n > 0 ? sum(known.map((e) => e[key] * e.reqs)) / n : null;
+}
+
+function mergeHistograms(hists) {
+  if (hists.length === 0 || hists.some((h) => !h)) return null;
+  const bounds = hists[0].bounds_ms;
+  if (hists.some((h) => h.bounds_ms.join() !== bounds.join())) {
+    throw new Error("latency histograms have different buckets; were the parts run with the same common.js?");
+  }
+  return { bounds_ms: bounds, counts: bounds.concat([null]).map((_, i) => sum(hists.map((h) => h.counts[i]))) };
+}
+
+/**
+ * Percentile from bucket counts, linear within the bucket it falls in. The
+ * open top bucket ends at `max` (the merged maximum).
+ */
+function histPercentile(hist, p, max) {
+  const total = sum(hist.counts);
+  if (total === 0) return null;
+  const rank = p * total;
+  let seen = 0;
+  for (let i = 0; i < hist.counts.length; i++) {
+    const c = hist.counts[i];
+    if (c === 0 || seen + c < rank) {
+      seen += c;
+      continue;
+    }
+    const lo = i === 0 ? 0 : hist.bounds_ms[i - 1];
+    const hi = i < hist.bounds_ms.length ? hist.bounds_ms[i] : Math.max(lo, max ?? lo);
+    const x = lo + ((rank - seen) / c) * (hi - lo);
+    return Number.isFinite(max) ? Math.min(x, max) : x;
+  }
+  return max ?? null;
+}
+
+const VERDICT_ORDER = [null, "pass", "fail"];
+
+function worstVerdict(values) {
+  return values.reduce((a, b) => (VERDICT_ORDER.indexOf(b ?? null) > VERDICT_ORDER.indexOf(a) ? b : a), null);
+}
+
+// Union of the parts' rows, keyed by `keyOf`, in first-seen order.
+function groupBy(rows, keyOf) {
+  const out = new Map();
+  for (const r of rows) {
+    const k = keyOf(r);
+    if (!out.has(k)) out.set(k, []);
+    out.get(k).push(r);
+  }
+  return out;
+}
+
+function mergeEndpoint(items) {
+  const reqs = sum(items.map((e) => e.reqs));
+  const fails = sum(items.map((e) => e.fails));
+  const max = maxOf(items.map((e) => e.max_ms));
+  const histogram = mergeHistograms(items.map((e) => e.histogram));
+  const pct = (p) => (histogram ? histPercentile(histogram, p, max) : null);
+  return {
+    id: items[0].id,
+    label: items[0].label,
+    reqs,
+    rps: sum(items.map((e) => e.rps)),
+    fails,
+    fail_rate: reqs > 0 ? fails / reqs : 0,
+    avg_ms: weighted(items, "avg_ms"),
+    p90_ms: pct(0.9),
+    p95_ms: pct(0.95),
+    p99_ms: pct(0.99),
+    max_ms: max,
+    apdex: weighted(items, "apdex"),
+    verdict: worstVerdict(items.map((e) => e.verdict)),
+    histogram,
+  };
+}
+
+/** One SUMMARY_JSON document from the documents of several processes. */
+function mergeSummaries(parts) {
+  const first = parts[0];
+  const versions = new Set(parts.map((p) => p.schema_version));
+  if (versions.size > 1) throw new Error(`parts have different schema versions: ${[...versions].join(", ")}`);
+  const scripts = new Set(parts.map((p) => p.script));
+  if (scripts.size > 1) throw new Error(`parts come from different scripts: ${[...scripts].join(", ")}`);
+
+  const endpoints = [...groupBy(parts.flatMap((p) => p.endpoints), (e) => e.id).values()].map(mergeEndpoint);
+  const thresholds = [...groupBy(parts.flatMap((p) => p.thresholds), (t) => `${t.metric}\n${t.threshold}`).values()].map(
+    (ts) => ({ metric: ts[0].metric, threshold: ts[0].threshold, ok: ts.every((t) => t.ok) })
+  );
+  const failures = [...groupBy(parts.flatMap((p) => p.failures), (f) => `${f.endpoint}\n${f.signature}`).values()]
+    .map((fs) => ({ endpoint: fs[0].endpoint, signature: fs[0].signature, count: sum(fs.map((f) => f.count)) }))
+    .sort((a, b) => b.count - a.count);
+  const checks = [...groupBy(parts.flatMap((p) => p.checks), (c) => c.name).values()].map((cs) => ({
+    name: cs[0].name,
+    passes: sum(cs.map((c) => c.passes)),
+    fails: sum(cs.map((c) => c.fails)),
+  }));
+
+  return {
+    ...first,
+    generated_at: new Date().toISOString(),
+    processes: parts.length,
+    duration_ms: maxOf(parts.map((p) => p.duration_ms)),
+    max_vus: sum(parts.map((p) => p.max_vus)),
+    verdict: parts.some((p) => p.verdict === "fail") ? "fail" : "pass",
+    endpoints,
+    thresholds,
+    failures,
+    checks,
+  };
+}
+
+function fmtMs(x) {
+  return Number.isFinite(x) ? `${x.toFixed(1)}ms` : "-";
+}
+
+function fmtPct(x) {
+  return Number.isFinite(x) ? `${(x * 100).toFixed(2)}%` : "-";
+}
+
+/** Plain-text merged table, laid out like endpointSummary() in common.js. */
+function mergedTable(doc) {
+  const header =
+    `\n=== Per-endpoint summary (${doc.processes} processes merged) ===\n` +
+    "endpoint | reqs | fails | fail% | avg | ~p90 | ~p95 | ~p99 | max\n" +
+    "-------- | ----:| ----:| -----:| ----:| ---:| ---:| ---:| ---:\n";
+  const lines = doc.endpoints
+    .filter((e) => e.reqs > 0)
+    .map((e) =>
+      [
+        e.label,
+        String(e.reqs).padStart(4),
+        String(e.fails).padStart(4),
+        fmtPct(e.fail_rate).padStart(6),
+        fmtMs(e.avg_ms).padStart(8),
+        fmtMs(e.p90_ms).padStart(8),
+        fmtMs(e.p95_ms).padStart(8),
+        fmtMs(e.p99_ms).padStart(8),
+        fmtMs(e.max_ms).padStart(8),
+      ].join(" | ")
+    );
+  const noHist = doc.endpoints.some((e) => e.reqs > 0 && !e.histogram);
+  const failed = doc.thresholds.filter((t) => !t.ok).map((t) => `${t.metric}: ${t.threshold}`);
+  return (
+    header +
+    (lines.length > 0 ? lines.join("\n") : "no requests") +
+    "\n" +
+    (noHist
+      ? "(percentiles need LATENCY_HIST=1 in every part)\n"
+      : "~ approximate: interpolated from latency buckets, off by up to the bucket's width (20-50% between 15ms and 10s)\n") +
+    `\nverdict: ${doc.verdict.toUpperCase()} (thresholds evaluated per process, failed when any process failed them)` +
+    (failed.length > 0 ? `; failed in at least one process: ${failed.join(", ")}` : "") +
+    "\n"
+  );
+}
+
+function writeMerged(doc, file) {
+  writeFileSync(file, JSON.stringify(doc, null, 2));
+  if (process.env.SUMMARY_JSON) writeFileSync(process.env.SUMMARY_JSON, JSON.stringify(doc, null, 2));
+  console.log(mergedTable(doc));
+  console.log(`[launch] merged summary: ${file}`);
+}
+
+// ------------------------
+// CLI
+// ------------------------
+async function main(argv) {
+  if (argv[0] === "--merge") {
+    const files = argv.slice(1);
+    if (files.length === 0) throw new Error("--merge needs SUMMARY_JSON files");
+    const doc = mergeSummaries(files.map((f) => JSON.parse(readFileSync(f, "utf8"))));
+    writeMerged(doc, resolve(process.env.LAUNCH_OUT || ".", "merged.json"));
+    return doc.verdict === "fail" ? THRESHOLDS_FAILED : 0;
+  }
+  const [script, ...extraArgs] = argv;
+  if (!script) throw new Error("usage: node launch.mjs <script.js> [k6 run flags] | --merge <part.json>...");
+  return launch(script, extraArgs);
+}
+
+main(process.argv.slice(2)).then(
+  (code) => process.exit(code),
+  (e) => {
+    console.error(`[launch] ${e.message}`);
+    process.exit(1);
+  }
+);
@@ -1,78 +1,141 @@
 // mobile_guest.js (guest-safe prod + games failure instrumentation)
 import { check } from 'k6';
 import { Counter } from 'k6/metrics';
-import { randSleep, getJSON, safeJSON, pick, safeBodyPreview } from './common.js';
+import {
+  isOk,
+  pick,
+  defineEndpoints,
+  endpointThresholds,
+  endpointSummary,
+  mergeThresholds,
+  SUMMARY_TREND_STATS
+} from './common.js';
+import { profileScenario, activeProfile } from './profiles.js';
+import { pickTeam, teamParams, leagueThresholds, leagueSummary } from './teams.js';
+import { summaryOutputs } from './report.js';
+import { baselineThresholds, baselineSummary } from './baseline.js';
+import { sloThresholds, sloSummary } from './slo.js';
+import { initWindows, windowThresholds, windowSummary } from './windows.js';
+import { cachedGetJSON, cachedJSON, cacheThresholds, cacheSummary } from './cache.js';
+import { think, sessionScreens, endSession, pacingSummary } from './pacing.js';
+import { guardTarget, preflight, guardThresholds, guardSummary } from './guard.js';
+import { API_BASE, TEST_TAG, testTag, tagHeaders, envInt, envNumber } from './config.js';
 
-const BASE = __ENV.BASE_URL || 'https://api.chunkysports.com';
+// API root incl. /api/v1 from ENV / BASE_URL (config.js); production needs
+// ALLOW_PROD=1 + PROD_MAX_VUS (guard.js).
+const BASE = guardTarget(API_BASE);
+
+const EP = defineEndpoints({
+  latest: 'GET /lumps/latest',
+  teamFeed: 'GET /lumps/team/:id',
+  gamesScreen: 'GET /games/by-team/:id/screen'
+});
 
 const games_fail_4xx = new Counter('games_fail_4xx');
 const games_fail_5xx = new Counter('games_fail_5xx');
 const games_fail_other = new Counter('games_fail_other');
-const games_fail_logged = new Counter('games_fail_logged');
+
+const SCENARIOS = {
+  mobile_step: profileScenario('stress', {
+    vus: envInt('VUS', 1200, { min: 1 }),
+    rate: envNumber('RATE', 400, { min: 0 }),
+    iterationSec: 3,
+    startVUs: 5,
+    // Historical mobile ramp: 200 / 600 / 1200 / 2400 VUs at the default VUS.
+    stages: [['1m', 1 / 6], ['2m', 0.5], ['2m', 1.0], ['2m', 2.0], ['2m', 0]],
+    gracefulRampDown: '20s'
+  })
+};
+initWindows(SCENARIOS);
 
 export const options = {
-  scenarios: {
-    mobile_step: {
-      executor: 'ramping-vus',
-      startVUs: 5,
-      stages: [
-        { duration: '1m', target: 200 },
-        { duration: '2m', target: 600 },
-        { duration: '2m', target: 1200 },
-        { duration: '2m', target: 2400 },
-        { duration: '2m', target: 0 }
-      ],
-      gracefulRampDown: '20s'
-    }
-  },
-  thresholds: {
-    http_req_failed: ['rate<0.01'],
-    http_req_duration: ['p(95)<1800'],
-    games_fail_5xx: ['count<250'] // generous; diagnosing first
-  }
+  scenarios: SCENARIOS,
+  thresholds: mergeThresholds(
+    {
+      http_req_failed: ['rate<0.01'],
+      http_req_duration: ['p(95)<1800'],
+      games_fail_5xx: ['count<250'] // generous; diagnosing first
+    },
+    endpointThresholds(),
+    leagueThresholds(),
+    sloThresholds(),
+    cacheThresholds(),
+    guardThresholds(),
+    windowThresholds(),
+    baselineThresholds()
+  ),
+  summaryTrendStats: SUMMARY_TREND_STATS,
+  tags: { test_tag: TEST_TAG }
 };
 
+export function setup() {
+  preflight(BASE);
+}
+
 export default function () {
-  const headers = {
+  const headers = tagHeaders({
     'User-Agent': 'ChunkySports-MobileLoadTest/1.0 (Expo)',
-    'Accept': 'application/json',
-    'X-Loadtest': __ENV.TEST_TAG || 'chunky-k6-guest'
-  };
+    'Accept': 'application/json'
+  });
+  // latest + one team page, unless pacing.js samples the session length
+  const screens = sessionScreens(2);
 
   // Launch-like burst: latest -> team -> games
-  let res = getJSON(`${BASE}/api/v1/lumps/latest`, { headers });
-  check(res, { 'latest 2xx': (r) => r.status >= 200 && r.status < 300 });
+  const latestUrl = `${BASE}/lumps/latest`;
+  const res = cachedGetJSON(latestUrl, { headers }, EP.latest);
+  check(res, { 'latest 2xx': isOk });
 
-  const body = safeJSON(res);
-  let teamId = 5;
+  const body = cachedJSON(latestUrl, res);
+  let teamId = null;
   if (body && Array.isArray(body.lumps)) {
     const any = pick(body.lumps);
     if (any && (any.source_id || any.team_id)) teamId = (any.team_id || any.source_id);
   }
+  if (!teamId) teamId = pickTeam();
+
+  think('after_latest', [0.2, 0.8]);
+
+  // later team pages browse to another catalog team
+  for (let screen = 1; screen < screens; screen++) {
+    teamPage(headers, screen === 1 ? teamId : pickTeam());
+  }
+
+  endSession();
+}
 
-  randSleep(0.2, 0.8);
+function teamPage(headers, teamId) {
+  const teamReq = teamParams({ headers }, teamId);
 
-  res = getJSON(`${BASE}/api/v1/lumps/team/${teamId}`, { headers });
-  check(res, { 'team 2xx': (r) => r.status >= 200 && r.status < 300 });
+  let res = cachedGetJSON(`${BASE}/lumps/team/${teamId}`, teamReq, EP.teamFeed);
+  check(res, { 'team 2xx': isOk });
 
-  randSleep(0.2, 0.8);
+  think('team_feed', [0.2, 0.8]);
 
-  res = getJSON(`${BASE}/api/v1/games/by-team/${teamId}/screen`, { headers });
+  res = cachedGetJSON(`${BASE}/games/by-team/${teamId}/screen`, teamReq, EP.gamesScreen);
 
-  const ok = res.status >= 200 && res.status < 300;
+  const ok = isOk(res);
   check(res, { 'games 2xx': () => ok });
 
   if (!ok) {
     if (res.status >= 400 && res.status < 500) games_fail_4xx.add(1);
     else if (res.status >= 500 && res.status < 600) games_fail_5xx.add(1);
     else games_fail_other.add(1);
-
-    if (games_fail_logged.value < 10) {
-      console.log(`GAMES_FAIL teamId=${teamId} status=${res.status} body="${safeBodyPreview(res, 200)}"`);
-      games_fail_logged.add(1);
-    }
+    // Sampled request details are logged by the failure recorder (common.js).
   }
 
   // idle time
-  randSleep(1.0, 3.0);
+  think('games', [1.0, 3.0]);
+}
+
+export function handleSummary(data) {
+  const text =
+    endpointSummary(data) + sloSummary(data) + leagueSummary(data) +
+    cacheSummary(data) + pacingSummary(data) + guardSummary(data, BASE) + windowSummary(data) +
+    baselineSummary(data);
+  return summaryOutputs(data, text, {
+    script: 'mobile_guest',
+    testTag: testTag(),
+    profile: activeProfile('stress'),
+    baseUrl: BASE
+  });
 }
@@ -0,0 +1,481 @@
+// mock_server.mjs
+
+/**
+ * Local stand-in for the Chunky Sports API so the k6 scripts can be exercised offline.
+ *
+ * Usage:
+ *   node mock_server.mjs
+ *   k6 run -e ENV=local web_guest.js        (environments.json)
+ *   k6 run -e BASE_URL=http://127.0.0.1:8080 true_user.js
+ *
+ * Fault injection (env):
+ *   MOCK_PORT            listen port (default 8080)
+ *   MOCK_LATENCY_MS      base latency added to every response (default 20)
+ *   MOCK_JITTER_MS       random extra latency 0..N ms (default 30)
+ *   MOCK_ERROR_RATE      0..1 chance of answering with an injected error (default 0)
+ *   MOCK_ERROR_STATUSES  comma list the injected error is picked from (default 500,503)
+ *   MOCK_ERROR_ROUTES    comma list of route names to inject into (default: all)
+ *   MOCK_BREAK_ROUTES    comma list of route names whose 200 bodies violate the contract
+ *   MOCK_TOKEN_TTL_SEC   token lifetime; expired tokens get 401 (default 3600)
+ *   MOCK_REFRESH=0       omit refresh_token from login, forcing re-logins on expiry
+ *   MOCK_PASSWORD        password every account accepts (default Test1234!)
+ *
+ * Caching (env):
+ *   MOCK_CDN=1           emulate an edge cache in front of the public GET routes:
+ *                        X-Cache HIT/MISS and Age headers, hits skip the origin latency
+ *   MOCK_CACHE_MAX_AGE   edge TTL in seconds (default 30)
+ *   MOCK_EDGE_LATENCY_MS latency of an edge hit (default 2)
+ *
+ * Backend timing (env):
+ *   MOCK_SERVER_TIMING=0 omit the Server-Timing header (db, app and total of the
+ *                        origin latency) the origin sends by default; edge hits
+ *                        carry cdn-cache;desc="HIT" only
+ *
+ * Every GET 200 carries an ETag and Last-Modified; a matching If-None-Match (or,
+ * without one, If-Modified-Since) gets 304. Cache-Control: no-cache skips the edge.
+ *
+ * Route names: latest, team_feed, team_top, summary, user_teams, games_screen,
+ * comments, login, me, refresh, register, set_teams, delete_me, comment_post,
+ * comment_delete, reaction_post, reaction_delete, team_follow, team_unfollow.
+ *
+ * Accounts created through /auth/register live in memory until restart; any
+ * other email logs in with MOCK_PASSWORD and a stable pseudo-random team list.
+ */
+
+import http from "node:http";
+import { createHash, createHmac } from "node:crypto";
+
+const PORT = parseInt(process.env.MOCK_PORT || "8080", 10);
+const LATENCY_MS = parseInt(process.env.MOCK_LATENCY_MS || "20", 10);
+const JITTER_MS = parseInt(process.env.MOCK_JITTER_MS || "30", 10);
+const ERROR_RATE = parseFloat(process.env.MOCK_ERROR_RATE || "0");
+const ERROR_STATUSES = (process.env.MOCK_ERROR_STATUSES || "500,503")
+  .split(",")
+  .map((s) => parseInt(s.trim(), 10))
+  .filter(Number.isFinite);
+const ERROR_ROUTES = (process.env.MOCK_ERROR_ROUTES || "")
+  .split(",")
+  .map((s) => s.trim())
+  .filter(Boolean);
+const BREAK_ROUTES = (process.env.MOCK_BREAK_ROUTES || "")
+  .split(",")
+  .map((s) => s.trim())
+  .filter(Boolean);
+const TOKEN_TTL_SEC = parseInt(process.env.MOCK_TOKEN_TTL_SEC || "3600", 10);
+const PASSWORD = process.env.MOCK_PASSWORD || "Test1234!";
+const REFRESH = (process.env.MOCK_REFRESH || "1") !== "0";
+const REFRESH_TTL_SEC = 30 * 86_400;
+const CDN = process.env.MOCK_CDN === "1";
+const CACHE_MAX_AGE_SEC = parseInt(process.env.MOCK_CACHE_MAX_AGE || "30", 10);
+const EDGE_LATENCY_MS = parseInt(process.env.MOCK_EDGE_LATENCY_MS || "2", 10);
+const SERVER_TIMING = process.env.MOCK_SERVER_TIMING !== "0";
+
+const API_PREFIX = "/api/v1";
+const SECRET = "chunky-mock-secret";
+
+// Same valid id ranges as teams.json (NFL, NBA, MLB, NHL, WNBA).
+const TEAM_IDS = [];
+for (const [from, to] of [[1, 32], [63, 123], [125, 154], [156, 167], [169, 170]]) {
+  for (let id = from; id <= to; id++) TEAM_IDS.push(id);
+}
+
+// ------------------------
+// Fake data
+// ------------------------
+const LUMPS_PER_TEAM = 200;
+const PAGE_SIZE = 20;
+const NOW = Date.now();
+
+function lumpFor(teamId, n) {
+  const id = teamId * 1000 + n;
+  const updated = new Date(NOW - (LUMPS_PER_TEAM - n) * 60_000).toISOString();
+  return {
+    id,
+    team_id: teamId,
+    source_id: teamId,
+    title: `Team ${teamId} lump #${n}`,
+    created_at: updated,
+    updated_at: updated,
+  };
+}
+
+function teamLumps(teamId) {
+  const out = [];
+  for (let n = LUMPS_PER_TEAM; n >= 1; n--) out.push(lumpFor(teamId, n));
+  return out;
+}
+
+// One feed page: newest first, after_date = pull-to-refresh, before_date = scroll to older.
+function feedPage(lumps, query) {
+  const after = query.get("after_date");
+  const before = query.get("before_date");
+  let out = lumps;
+  if (after) out = out.filter((l) => l.updated_at > after);
+  if (before) out = out.filter((l) => l.updated_at < before);
+  return out.slice(0, PAGE_SIZE);
+}
+
+// Stable comment count per lump, 0..96.
+function threadComments(lumpId) {
+  const out = [];
+  for (let i = 0; i < lumpId % 97; i++) out.push({ id: lumpId * 100 + i, body: `Comment ${i} on lump ${lumpId}` });
+  return out;
+}
+
+function randomTeams(count) {
+  const picked = new Set();
+  while (picked.size < count) {
+    picked.add(TEAM_IDS[Math.floor(Math.random() * TEAM_IDS.length)]);
+  }
+  return Array.from(picked);
+}
+
+// email -> { password, teams } for accounts created through /auth/register
+const accounts = new Map();
+
+function followedTeams(email) {
+  const acct = accounts.get(email);
+  if (acct) return acct.teams;
+  // Stable per account so /lumps/user-teams looks the same between iterations.
+  let h = 0;
+  for (const c of email) h = (h * 31 + c.charCodeAt(0)) >>> 0;
+  return [TEAM_IDS[h % TEAM_IDS.length], TEAM_IDS[(h >>> 8) % TEAM_IDS.length]];
+}
+
+// The account entry to mutate; unregistered emails get their pseudo-random teams.
+function accountFor(email) {
+  if (!accounts.has(email)) accounts.set(email, { password: PASSWORD, teams: followedTeams(email) });
+  return accounts.get(email);
+}
+
+// comment id -> { author, lump_id, body, created_at }
+const comments = new Map();
+let nextCommentId = 1;
+// `${email}:${lumpId}` -> reaction
+const reactions = new Map();
+
+// ------------------------
+// Tokens (JWT-shaped, HMAC signed)
+// ------------------------
+function b64url(s) {
+  return Buffer.from(s).toString("base64url");
+}
+
+function sign(input) {
+  return createHmac("sha256", SECRET).update(input).digest("base64url");
+}
+
+function issueToken(email, use = "access") {
+  const iat = Math.floor(Date.now() / 1000);
+  const ttl = use === "refresh" ? REFRESH_TTL_SEC : TOKEN_TTL_SEC;
+  const head = b64url(JSON.stringify({ alg: "HS256", typ: "JWT" }));
+  const body = b64url(JSON.stringify({ sub: email, use, iat, exp: iat + ttl }));
+  return `${head}.${body}.${sign(`${head}.${body}`)}`;
+}
+
+function verifyToken(token, use = "access") {
+  const parts = (token || "").split(".");
+  if (parts.length !== 3) return null;
+  if (sign(`${parts[0]}.${parts[1]}`) !== parts[2]) return null;
+  try {
+    const claims = JSON.parse(Buffer.from(parts[1], "base64url").toString());
+    if (!claims.exp || claims.exp * 1000 <= Date.now()) return null;
+    if ((claims.use || "access") !== use) return null;
+    return claims;
+  } catch (_) {
+    return null;
+  }
+}
+
+function bearer(req) {
+  const h = req.headers.authorization || "";
+  return h.startsWith("Bearer ") ? h.slice(7) : null;
+}
+
+function userPayload(email) {
+  return { id: email, email, teams: accountFor(email).teams };
+}
+
+function sessionPayload(email) {
+  const out = { token: issueToken(email), user: userPayload(email) };
+  if (REFRESH) out.refresh_token = issueToken(email, "refresh");
+  return out;
+}
+
+// ------------------------
+// Routing
+// ------------------------
+const routes = [
+  ["GET", /^\/lumps\/latest$/, "latest", (ctx) => {
+    const lumps = [];
+    for (const teamId of randomTeams(10)) lumps.push(...feedPage(teamLumps(teamId), ctx.query).slice(0, 2));
+    lumps.sort((a, b) => (a.updated_at < b.updated_at ? 1 : -1));
+    return [200, { lumps }];
+  }],
+  ["GET", /^\/lumps\/user-teams$/, "user_teams", (ctx) => {
+    const claims = ctx.auth();
+    if (!claims) return [401, { error: "unauthorized" }];
+    const lumps = followedTeams(claims.sub).flatMap(teamLumps);
+    lumps.sort((a, b) => (a.updated_at < b.updated_at ? 1 : -1));
+    return [200, { lumps: feedPage(lumps, ctx.query) }];
+  }],
+  ["GET", /^\/lumps\/team\/(\d+)\/top$/, "team_top", (ctx, m) => {
+    if (!ctx.auth()) return [401, { error: "unauthorized" }];
+    const teamId = Number(m[1]);
+    return [200, { team_id: teamId, top_lumps: teamLumps(teamId).slice(0, 5) }];
+  }],
+  ["GET", /^\/lumps\/team\/(\d+)$/, "team_feed", (ctx, m) => {
+    const teamId = Number(m[1]);
+    return [200, { team_id: teamId, lumps: feedPage(teamLumps(teamId), ctx.query) }];
+  }],
+  ["GET", /^\/lumps\/summary\/team\/(\d+)$/, "summary", (ctx, m) => {
+    if (!ctx.auth()) return [401, { error: "unauthorized" }];
+    const teamId = Number(m[1]);
+    return [200, { team_id: teamId, summary: `Summary for team ${teamId}`, lump_count: LUMPS_PER_TEAM }];
+  }],
+  ["GET", /^\/games\/by-team\/(\d+)\/screen$/, "games_screen", (ctx, m) => {
+    const teamId = Number(m[1]);
+    const games = [0, 1, 2].map((i) => ({
+      id: teamId * 100 + i,
+      home_team_id: teamId,
+      away_team_id: TEAM_IDS[(teamId + i * 7) % TEAM_IDS.length],
+      starts_at: new Date(NOW + i * 86_400_000).toISOString(),
+    }));
+    return [200, { team_id: teamId, games }];
+  }],
+  ["GET", /^\/comments\/thread$/, "comments", (ctx) => {
+    const lumpId = Number(ctx.query.get("lump_id"));
+    if (!Number.isFinite(lumpId) || lumpId <= 0) return [400, { ok: false, error: "lump_id required" }];
+    const all = threadComments(lumpId);
+    const offset = parseInt(ctx.query.get("cursor") || "0", 10) || 0;
+    const next = offset + PAGE_SIZE < all.length ? String(offset + PAGE_SIZE) : null;
+    return [200, { ok: true, lump_id: lumpId, comments: all.slice(offset, offset + PAGE_SIZE), next_cursor: next }];
+  }],
+  ["POST", /^\/auth\/login$/, "login", (ctx) => {
+    const body = ctx.json();
+    const expected = accounts.get(body?.email)?.password ?? PASSWORD;
+    if (!body || typeof body.email !== "string" || body.password !== expected) {
+      return [401, { error: "invalid credentials" }];
+    }
+    return [200, sessionPayload(body.email)];
+  }],
+  ["POST", /^\/auth\/refresh$/, "refresh", (ctx) => {
+    const claims = verifyToken(ctx.json()?.refresh_token, "refresh");
+    if (!claims) return [401, { error: "invalid refresh token" }];
+    return [200, sessionPayload(claims.sub)];
+  }],
+  ["POST", /^\/auth\/register$/, "register", (ctx) => {
+    const body = ctx.json();
+    if (!body || typeof body.email !== "string" || typeof body.password !== "string") {
+      return [422, { error: "email and password required" }];
+    }
+    if (accounts.has(body.email)) return [409, { error: "email taken" }];
+    accounts.set(body.email, { password: body.password, teams: [] });
+    return [201, sessionPayload(body.email)];
+  }],
+  ["PUT", /^\/user-teams$/, "set_teams", (ctx) => {
+    const claims = ctx.auth();
+    if (!claims) return [401, { error: "unauthorized" }];
+    const ids = ctx.json()?.team_ids;
+    if (!Array.isArray(ids)) return [422, { error: "team_ids required" }];
+    const acct = accounts.get(claims.sub) || { password: PASSWORD };
+    accounts.set(claims.sub, { ...acct, teams: ids.map(Number) });
+    return [200, { ok: true, team_ids: ids.map(Number) }];
+  }],
+  ["DELETE", /^\/users\/me$/, "delete_me", (ctx) => {
+    const claims = ctx.auth();
+    if (!claims) return [401, { error: "unauthorized" }];
+    accounts.delete(claims.sub);
+    return [200, { ok: true }];
+  }],
+  ["POST", /^\/comments$/, "comment_post", (ctx) => {
+    const claims = ctx.auth();
+    if (!claims) return [401, { error: "unauthorized" }];
+    const body = ctx.json();
+    const lumpId = Number(body?.lump_id);
+    if (!Number.isFinite(lumpId) || lumpId <= 0 || typeof body.body !== "string" || !body.body) {
+      return [422, { error: "lump_id and body required" }];
+    }
+    const comment = { id: nextCommentId++, lump_id: lumpId, body: body.body, created_at: new Date().toISOString() };
+    comments.set(comment.id, { ...comment, author: claims.sub });
+    return [201, { comment }];
+  }],
+  ["DELETE", /^\/comments\/(\d+)$/, "comment_delete", (ctx, m) => {
+    const claims = ctx.auth();
+    if (!claims) return [401, { error: "unauthorized" }];
+    const c = comments.get(Number(m[1]));
+    if (!c) return [404, { error: "comment not found" }];
+    if (c.author !== claims.sub) return [403, { error: "not the author" }];
+    comments.delete(c.id);
+    return [200, { ok: true }];
+  }],
+  ["POST", /^\/lumps\/(\d+)\/reactions$/, "reaction_post", (ctx, m) => {
+    const claims = ctx.auth();
+    if (!claims) return [401, { error: "unauthorized" }];
+    const reaction = ctx.json()?.reaction;
+    if (typeof reaction !== "string" || !reaction) return [422, { error: "reaction required" }];
+    const key = `${claims.sub}:${m[1]}`;
+    const existed = reactions.has(key);
+    reactions.set(key, reaction);
+    return [existed ? 200 : 201, { ok: true, lump_id: Number(m[1]), reaction }];
+  }],
+  ["DELETE", /^\/lumps\/(\d+)\/reactions$/, "reaction_delete", (ctx, m) => {
+    const claims = ctx.auth();
+    if (!claims) return [401, { error: "unauthorized" }];
+    reactions.delete(`${claims.sub}:${m[1]}`);
+    return [200, { ok: true }];
+  }],
+  ["POST", /^\/user-teams\/(\d+)$/, "team_follow", (ctx, m) => {
+    const claims = ctx.auth();
+    if (!claims) return [401, { error: "unauthorized" }];
+    const acct = accountFor(claims.sub);
+    const teamId = Number(m[1]);
+    if (acct.teams.includes(teamId)) return [200, { ok: true, team_ids: acct.teams }];
+    acct.teams = [...acct.teams, teamId];
+    return [201, { ok: true, team_ids: acct.teams }];
+  }],
+  ["DELETE", /^\/user-teams\/(\d+)$/, "team_unfollow", (ctx, m) => {
+    const claims = ctx.auth();
+    if (!claims) return [401, { error: "unauthorized" }];
+    const acct = accountFor(claims.sub);
+    acct.teams = acct.teams.filter((t) => t !== Number(m[1]));
+    return [200, { ok: true, team_ids: acct.teams }];
+  }],
+  ["GET", /^\/auth\/me$/, "me", (ctx) => {
+    const claims = ctx.auth();
+    if (!claims) return [401, { error: "unauthorized" }];
+    return [200, { user: userPayload(claims.sub) }];
+  }],
+];
+
+function injectedError(routeName) {
+  if (ERROR_RATE <= 0 || ERROR_STATUSES.length === 0) return null;
+  if (ERROR_ROUTES.length > 0 && !ERROR_ROUTES.includes(routeName)) return null;
+  if (Math.random() >= ERROR_RATE) return null;
+  return ERROR_STATUSES[Math.floor(Math.random() * ERROR_STATUSES.length)];
+}
+
+// Drops list fields and nulls the rest, for exercising schema validation.
+function breakBody(payload) {
+  const out = {};
+  for (const [k, v] of Object.entries(payload)) {
+    if (!Array.isArray(v)) out[k] = null;
+  }
+  return out;
+}
+
+function originDelay() {
+  return LATENCY_MS + Math.random() * JITTER_MS;
+}
+
+// The origin's latency split into a database and an app share.
+function serverTiming(delay) {
+  const db = delay * (0.4 + Math.random() * 0.3);
+  return `db;dur=${db.toFixed(1)}, app;dur=${(delay - db).toFixed(1)}, total;dur=${delay.toFixed(1)}`;
+}
+
+function send(res, status, payload, headers = {}, delay = originDelay()) {
+  const body = payload === null ? "" : JSON.stringify(payload);
+  setTimeout(() => {
+    const head = { ...headers, "Content-Length": Buffer.byteLength(body) };
+    if (SERVER_TIMING && !head["Server-Timing"]) head["Server-Timing"] = serverTiming(delay);
+    if (payload !== null) head["Content-Type"] = "application/json";
+    res.writeHead(status, head);
+    res.end(body);
+  }, delay);
+}
+
+// ------------------------
+// Validators and edge cache
+// ------------------------
+// Public routes the emulated CDN may store; per-user routes always go to the origin.
+const EDGE_ROUTES = ["latest", "team_feed", "team_top", "summary", "games_screen", "comments"];
+// The fake data's clock, so If-Modified-Since has something to compare with.
+const LAST_MODIFIED = new Date(Math.floor(NOW / 1000) * 1000).toUTCString();
+
+// path + query -> { payload, etag, storedAt }
+const edge = new Map();
+
+function etagOf(payload) {
+  return `W/"${createHash("sha1").update(JSON.stringify(payload)).digest("base64url").slice(0, 16)}"`;
+}
+
+function notModified(req, etag) {
+  const inm = req.headers["if-none-match"];
+  if (inm) return inm.trim() === "*" || inm.split(",").some((t) => t.trim() === etag);
+  const ims = Date.parse(req.headers["if-modified-since"] || "");
+  return Number.isFinite(ims) && ims >= Date.parse(LAST_MODIFIED);
+}
+
+// GET 200: validators, conditional 304 and, with MOCK_CDN, the edge cache.
+function sendCacheable(req, res, name, key, payload) {
+  const noCache = /no-cache/i.test(`${req.headers["cache-control"] || ""} ${req.headers.pragma || ""}`);
+  const shared = CDN && EDGE_ROUTES.includes(name);
+  const now = Date.now();
+
+  let entry = shared && !noCache ? edge.get(key) : null;
+  if (entry && now - entry.storedAt >= CACHE_MAX_AGE_SEC * 1000) entry = null;
+  const hit = Boolean(entry);
+  if (!entry) {
+    entry = { payload, etag: etagOf(payload), storedAt: now };
+    if (shared && !noCache) edge.set(key, entry);
+  }
+
+  const headers = {
+    ETag: entry.etag,
+    "Last-Modified": LAST_MODIFIED,
+    "Cache-Control": shared ? `public, max-age=${CACHE_MAX_AGE_SEC}` : "private, no-cache",
+  };
+  if (CDN) {
+    headers["X-Cache"] = hit ? "HIT" : shared ? "MISS" : "PASS";
+    headers.Age = String(hit ? Math.floor((now - entry.storedAt) / 1000) : 0);
+  }
+  if (SERVER_TIMING && hit) headers["Server-Timing"] = 'cdn-cache;desc="HIT"';
+
+  const delay = hit ? EDGE_LATENCY_MS : originDelay();
+  if (notModified(req, entry.etag)) return send(res, 304, null, headers, delay);
+  return send(res, 200, entry.payload, headers, delay);
+}
+
+const server = http.createServer((req, res) => {
+  const chunks = [];
+  req.on("data", (c) => chunks.push(c));
+  req.on("end", () => {
+    const url = new URL(req.url, "http://mock");
+    // Accept both BASE_URL styles: with or without the /api/v1 prefix.
+    const path = url.pathname.startsWith(API_PREFIX)
+      ? url.pathname.slice(API_PREFIX.length) || "/"
+      : url.pathname;
+
+    const ctx = {
+      query: url.searchParams,
+      auth: () => verifyToken(bearer(req)),
+      json: () => {
+        try {
+          return JSON.parse(Buffer.concat(chunks).toString() || "null");
+        } catch (_) {
+          return null;
+        }
+      },
+    };
+
+    for (const [method, re, name, handler] of routes) {
+      const m = path.match(re);
+      if (!m || req.method !== method) continue;
+
+      const errStatus = injectedError(name);
+      if (errStatus) return send(res, errStatus, { error: "injected", route: name });
+
+      const [status, payload] = handler(ctx, m);
+      const body = status === 200 && BREAK_ROUTES.includes(name) ? breakBody(payload) : payload;
+      if (method === "GET" && status === 200) return sendCacheable(req, res, name, url.pathname + url.search, body);
+      return send(res, status, body);
+    }
+
+    send(res, 404, { error: "not found", path });
+  });
+});
+
+server.listen(PORT, "127.0.0.1", () => {
+  console.log(`chunky mock API listening on http://127.0.0.1:${PORT}${API_PREFIX}`);
+});
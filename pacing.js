@@ -0,0 +1,183 @@
+// pacing.js
+// Think times and session lengths, drawn from configurable distributions.
+//
+//   PACING_DIST   family for think times without a configured step:
+//                 uniform (default; the script's own [min, max] ranges, as before),
+//                 lognormal (median = middle of the range, PACING_SIGMA) or
+//                 exponential (mean = middle of the range)
+//   PACING_SIGMA  lognormal shape for PACING_DIST=lognormal (default 0.5)
+//   PACING_FILE   distributions fitted from analytics (e.g. ./pacing.json); unset = none
+//
+// {
+//   "think": {
+//     "default":      { "dist": "lognormal", "median": 1.2, "p90": 4.5, "max": 30 },
+//     "after_latest": { "dist": "empirical", "percentiles": { "p10": 0.4, "p50": 1.1, "p90": 4.2, "p99": 12 } }
+//   },
+//   "session": { "dist": "lognormal", "median": 4, "sigma": 0.7, "min": 1, "max": 30 },
+//   "idle":    { "dist": "exponential", "mean": 20, "max": 300 }
+// }
+//
+// A distribution is one of
+//   uniform      min, max
+//   lognormal    median and either sigma or p90 (the shape is derived from it)
+//   exponential  mean (+ min as an offset)
+//   empirical    percentiles { pNN: value }; piecewise-linear between them,
+//                min / max (or the outermost percentiles) as the ends
+// and is clamped to [min, max] when given. Think times are seconds; "think"
+// keys are the step names the scripts pass to think(), with "default" for the
+// rest. "session" is the number of screens a VU goes through per iteration
+// (each script maps it onto its own journey; unset = the script's fixed
+// journey), "idle" the seconds it then stays away before the next session.
+// Idle time is skipped under LOAD_MODEL=open, where the arrival rate already
+// spaces sessions.
+import { sleep } from 'k6';
+import { Trend } from 'k6/metrics';
+import { metricVals, fmtInt } from './common.js';
+import { envEnum, envNumber, envString } from './config.js';
+import { LOAD_MODEL } from './profiles.js';
+
+const DISTS = ['uniform', 'lognormal', 'exponential', 'empirical'];
+
+const PACING_DIST = envEnum('PACING_DIST', 'uniform', DISTS.slice(0, 3));
+const PACING_SIGMA = envNumber('PACING_SIGMA', 0.5, { min: 0 });
+const PACING_FILE = envString('PACING_FILE', '');
+const OPEN_MODEL = LOAD_MODEL === 'open';
+
+// z of the 90th percentile of the standard normal.
+const Z90 = 1.2816;
+
+const thinkTime = new Trend('think_time', true);
+const sessionScreensMetric = new Trend('session_screens');
+const sessionIdle = new Trend('session_idle', true);
+
+function validate(name, d) {
+  if (!d) return;
+  if (!DISTS.includes(d.dist)) throw new Error(`${PACING_FILE}: ${name}: unknown dist "${d.dist}"`);
+  if (d.dist === 'uniform' && !(Number.isFinite(d.min) && Number.isFinite(d.max) && d.min <= d.max)) {
+    throw new Error(`${PACING_FILE}: ${name}: uniform needs numeric min <= max`);
+  }
+  if (d.dist === 'lognormal' && !(d.median > 0 && (d.sigma > 0 || d.p90 > d.median))) {
+    throw new Error(`${PACING_FILE}: ${name}: lognormal needs median > 0 and sigma or p90 > median`);
+  }
+  if (d.dist === 'exponential' && !(d.mean > 0)) throw new Error(`${PACING_FILE}: ${name}: exponential needs mean > 0`);
+  if (d.dist === 'empirical' && Object.keys(d.percentiles || {}).length === 0) {
+    throw new Error(`${PACING_FILE}: ${name}: empirical needs percentiles`);
+  }
+}
+
+function loadConfig() {
+  if (!PACING_FILE) return null;
+  const cfg = JSON.parse(open(PACING_FILE));
+  for (const [step, d] of Object.entries(cfg.think || {})) validate(`think.${step}`, d);
+  validate('session', cfg.session);
+  validate('idle', cfg.idle);
+  return cfg;
+}
+
+const CONFIG = loadConfig();
+
+// Standard normal (Box-Muller).
+function gaussian() {
+  const u = 1 - Math.random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * Math.random());
+}
+
+// [[p, value]] sorted by p, with the ends filled in from min / max.
+function empiricalPoints(d) {
+  const pts = Object.entries(d.percentiles)
+    .map(([k, v]) => [parseFloat(k.replace(/^p/, '')) / 100, v])
+    .sort((a, b) => a[0] - b[0]);
+  if (pts[0][0] > 0) pts.unshift([0, d.min ?? pts[0][1]]);
+  if (pts[pts.length - 1][0] < 1) pts.push([1, d.max ?? pts[pts.length - 1][1]]);
+  return pts;
+}
+
+function sampleEmpirical(d) {
+  const pts = empiricalPoints(d);
+  const u = Math.random();
+  for (let i = 1; i < pts.length; i++) {
+    const [p0, v0] = pts[i - 1];
+    const [p1, v1] = pts[i];
+    if (u <= p1) return p1 === p0 ? v1 : v0 + ((u - p0) / (p1 - p0)) * (v1 - v0);
+  }
+  return pts[pts.length - 1][1];
+}
+
+/** One draw from a distribution (see the header), clamped to its min / max. */
+export function sample(d) {
+  let x;
+  if (d.dist === 'lognormal') {
+    const sigma = d.sigma > 0 ? d.sigma : Math.log(d.p90 / d.median) / Z90;
+    x = d.median * Math.exp(sigma * gaussian());
+  } else if (d.dist === 'exponential') {
+    x = (d.min ?? 0) - d.mean * Math.log(1 - Math.random());
+  } else if (d.dist === 'empirical') {
+    x = sampleEmpirical(d);
+  } else {
+    x = d.min + Math.random() * (d.max - d.min);
+  }
+  if (Number.isFinite(d.min)) x = Math.max(x, d.min);
+  if (Number.isFinite(d.max)) x = Math.min(x, d.max);
+  return x;
+}
+
+// PACING_DIST applied to a script's [min, max] range.
+function fromRange([min, max]) {
+  const mid = (min + max) / 2;
+  if (PACING_DIST === 'lognormal') return { dist: 'lognormal', median: mid, sigma: PACING_SIGMA, min: 0 };
+  if (PACING_DIST === 'exponential') return { dist: 'exponential', mean: mid };
+  return { dist: 'uniform', min, max };
+}
+
+/**
+ * Sleep for one think time.
+ * @param {string} step step name, looked up under "think" in PACING_FILE
+ * @param {number[]} range [min, max] seconds the script uses without a config
+ * @returns {number} seconds slept
+ */
+export function think(step, range) {
+  const d = CONFIG?.think?.[step] || CONFIG?.think?.default || fromRange(range);
+  const s = sample(d);
+  thinkTime.add(s * 1000, { step });
+  sleep(s);
+  return s;
+}
+
+/**
+ * Screens in this session: a draw from "session" (at least 1), or the
+ * script's own count without one.
+ * @param {number} fallback screens of the script's fixed journey
+ */
+export function sessionScreens(fallback) {
+  const n = CONFIG?.session ? Math.max(1, Math.round(sample(CONFIG.session))) : fallback;
+  sessionScreensMetric.add(n);
+  return n;
+}
+
+/** Stay away between sessions ("idle"); no-op without one or under LOAD_MODEL=open. */
+export function endSession() {
+  if (!CONFIG?.idle || OPEN_MODEL) return;
+  const s = sample(CONFIG.idle);
+  sessionIdle.add(s * 1000);
+  sleep(s);
+}
+
+function fmtSec(ms) {
+  return ms === null || ms === undefined ? '-' : `${(ms / 1000).toFixed(2)}s`;
+}
+
+/** Plain-text pacing line for handleSummary(). */
+export function pacingSummary(data) {
+  const t = metricVals(data, 'think_time') || {};
+  const s = metricVals(data, 'session_screens') || {};
+  const i = CONFIG?.idle && !OPEN_MODEL ? metricVals(data, 'session_idle') || {} : {};
+
+  const source = PACING_FILE ? PACING_FILE : `PACING_DIST=${PACING_DIST}`;
+  return (
+    `\n=== Pacing (${source}) ===\n` +
+    `think time: avg ${fmtSec(t.avg)}, med ${fmtSec(t.med)}, p90 ${fmtSec(t['p(90)'])}, max ${fmtSec(t.max)}\n` +
+    `session screens: avg ${s.avg !== undefined ? s.avg.toFixed(1) : '-'}, med ${fmtInt(s.med ?? null)}, max ${fmtInt(s.max ?? null)}` +
+    (i.avg !== undefined ? `; idle avg ${fmtSec(i.avg)}, p90 ${fmtSec(i['p(90)'])}` : '') +
+    '\n'
+  );
+}
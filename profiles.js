@@ -0,0 +1,159 @@
+// profiles.js
+// Named load profiles shared by every script, selected with PROFILE=<name>.
+//
+// Stage targets are multiples of the script's nominal VU count (its normal
+// production-like level), so the same profile fits a 50-VU logged-in run and
+// a 1000-VU guest ramp. SCALE multiplies the nominal level; DURATION overrides
+// the steady-state hold of the load and soak profiles.
+//
+//   smoke       1 VU for 1m — does the script still work?
+//   load        ramp to nominal, hold, ramp down
+//   stress      step ramp to 2x nominal (the historical web_guest ramp)
+//   spike       sudden jump to 3x nominal and back
+//   soak        constant nominal for 1h
+//   breakpoint  slow linear ramp to 4x nominal; stop it once things break
+//
+// A script that had its own ramp passes it as opts.stages; it replaces the
+// stages of the script's default profile, so running without PROFILE keeps the
+// script's historical shape. Any other PROFILE uses the shared stages.
+//
+// LOAD_MODEL=open switches every profile to arrival-rate executors: the same
+// multiples apply to the script's nominal session rate (RATE, iterations/sec)
+// instead of VUs, so a slow API no longer lowers the offered load. VUs are
+// pre-allocated from rate x typical iteration length (PRE_VUS / MAX_VUS override).
+import { envDuration, envEnum, envInt, envNumber } from './config.js';
+
+const PROFILES = {
+  smoke: { constant: { vus: 1, duration: '1m' } },
+  load: {
+    stages: [['3m', 1.0], ['hold', 1.0, '10m'], ['2m', 0]],
+  },
+  stress: {
+    stages: [['2m', 0.2], ['3m', 0.4], ['3m', 1.0], ['3m', 2.0], ['2m', 0]],
+  },
+  spike: {
+    stages: [['1m', 0.2], ['30s', 3.0], ['2m', 3.0], ['30s', 0.2], ['2m', 0.2], ['30s', 0]],
+  },
+  soak: { constant: { scale: 1.0, duration: '1h' } },
+  breakpoint: {
+    stages: [['20m', 4.0]],
+  },
+};
+
+export const PROFILE_NAMES = Object.keys(PROFILES);
+
+const SCALE = envNumber('SCALE', 1, { min: 0 });
+const DURATION = envDuration('DURATION', '');
+
+export const LOAD_MODEL = envEnum('LOAD_MODEL', 'closed', ['closed', 'open']);
+
+/** Peak VUs a k6 scenario (as in exec.test.options) can run. */
+export function scenarioMaxVUs(sc) {
+  if (!sc) return 0;
+  if (sc.executor === 'ramping-vus') {
+    return Math.max(sc.startVUs || 0, ...(sc.stages || []).map((st) => st.target));
+  }
+  if (sc.executor && sc.executor.endsWith('arrival-rate')) return sc.maxVUs || sc.preAllocatedVUs || 0;
+  return sc.vus || 1;
+}
+
+/** The profile in effect: PROFILE env, else the script's default. */
+export function activeProfile(defaultProfile) {
+  return envEnum('PROFILE', defaultProfile, PROFILE_NAMES);
+}
+
+function target(nominalVUs, multiple) {
+  if (multiple <= 0) return 0;
+  return Math.max(1, Math.round(nominalVUs * SCALE * multiple));
+}
+
+// Arrival rates are expressed per minute so low session rates keep precision.
+function ratePerMin(ratePerSec, multiple) {
+  if (multiple <= 0) return 0;
+  return Math.max(1, Math.round(ratePerSec * 60 * SCALE * multiple));
+}
+
+function vuSizing(peakPerMin, iterationSec) {
+  const needed = Math.ceil((peakPerMin / 60) * iterationSec * 1.2);
+  const preAllocatedVUs = envInt('PRE_VUS', Math.max(1, needed), { min: 1 });
+  const maxVUs = envInt('MAX_VUS', preAllocatedVUs * 2, { min: preAllocatedVUs });
+  return { preAllocatedVUs, maxVUs };
+}
+
+function openScenario(name, profile, opts, base) {
+  if (!(opts.rate > 0)) throw new Error('LOAD_MODEL=open needs a nominal rate (RATE) for this scenario');
+  const iterationSec = opts.iterationSec || 5;
+
+  if (profile.constant) {
+    const c = profile.constant;
+    const rate = name === 'smoke' ? 60 : ratePerMin(opts.rate, c.scale);
+    return {
+      ...base,
+      executor: 'constant-arrival-rate',
+      rate,
+      timeUnit: '1m',
+      duration: (name !== 'smoke' && DURATION) || c.duration,
+      ...vuSizing(rate, iterationSec),
+    };
+  }
+
+  const stages = profile.stages.map(([duration, multiple, holdDefault]) => ({
+    duration: duration === 'hold' ? DURATION || holdDefault : duration,
+    target: ratePerMin(opts.rate, multiple),
+  }));
+  const peak = Math.max(...stages.map((st) => st.target));
+
+  return {
+    ...base,
+    executor: 'ramping-arrival-rate',
+    // Like the closed model's single starting VU: the first stage ramps up from nothing.
+    startRate: 0,
+    timeUnit: '1m',
+    stages,
+    ...vuSizing(peak, iterationSec),
+  };
+}
+
+/**
+ * Build a k6 scenario for the active profile.
+ * @param {string} defaultProfile profile used when PROFILE is not set
+ * @param {object} opts
+ * @param {number} opts.vus nominal VU count for this script
+ * @param {number} opts.rate nominal sessions (iterations) per second, open model
+ * @param {number} [opts.iterationSec] typical iteration length, sizes open-model VUs
+ * @param {Array<Array>} [opts.stages] the script's own [duration, multiple]
+ *   stages for its default profile (same form as PROFILES)
+ * @param {string} [opts.exec] exported function the scenario runs
+ * @param {number} [opts.startVUs] initial VUs of ramping profiles
+ * @param {string} [opts.gracefulRampDown]
+ */
+export function profileScenario(defaultProfile, opts) {
+  const name = activeProfile(defaultProfile);
+  const profile = name === defaultProfile && opts.stages ? { stages: opts.stages } : PROFILES[name];
+  const base = opts.exec ? { exec: opts.exec } : {};
+
+  if (LOAD_MODEL === 'open') return openScenario(name, profile, opts, base);
+
+  if (profile.constant) {
+    const c = profile.constant;
+    return {
+      ...base,
+      executor: 'constant-vus',
+      vus: c.vus || target(opts.vus, c.scale),
+      duration: (name !== 'smoke' && DURATION) || c.duration,
+    };
+  }
+
+  const stages = profile.stages.map(([duration, multiple, holdDefault]) => ({
+    duration: duration === 'hold' ? DURATION || holdDefault : duration,
+    target: target(opts.vus, multiple),
+  }));
+
+  return {
+    ...base,
+    executor: 'ramping-vus',
+    startVUs: Math.min(opts.startVUs ?? 1, stages[0].target || 1),
+    stages,
+    gracefulRampDown: opts.gracefulRampDown || '30s',
+  };
+}
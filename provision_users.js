@@ -0,0 +1,199 @@
+// provision_users.js
+// Makes a target environment load-test-ready: registers the test accounts,
+// seeds each with followed teams and writes the credential pool.
+//
+//   k6 run -e ENV=staging provision_users.js
+//     registers testuser0001..0500@chunky.test (USER_COUNT, default 500), follows 2–5 catalog teams each
+//     (popularity-weighted, deterministic per SEED) and writes USERS_OUT (default users.json).
+//     Accounts that already exist are logged in and re-seeded, so re-runs are safe.
+//
+//   k6 run -e ENV=staging -e ACTION=teardown provision_users.js
+//     logs in as every account in USERS_FILE and deletes it (TEARDOWN=delete,
+//     default) or only clears its followed teams (TEARDOWN=reset).
+//
+// USER_PREFIX / USER_DOMAIN / PASSWORD name the accounts like createusers.sh.
+import http from 'k6/http';
+import { check } from 'k6';
+import { parseUsers } from './users.js';
+import { pickTeams } from './teams.js';
+import { guardTarget, preflight } from './guard.js';
+import { API_BASE, tagHeaders, envDuration, envEnum, envInt, envString } from './config.js';
+
+// ENV / BASE_URL (config.js); production needs ALLOW_PROD=1 + PROD_MAX_VUS (guard.js).
+const BASE_URL = guardTarget(API_BASE);
+const ACTION = envEnum('ACTION', 'provision', ['provision', 'teardown']);
+const TEARDOWN = envEnum('TEARDOWN', 'delete', ['delete', 'reset']);
+
+const USER_COUNT = envInt('USER_COUNT', 500, { min: 1 });
+const USER_PREFIX = envString('USER_PREFIX', 'testuser');
+const USER_DOMAIN = envString('USER_DOMAIN', 'chunky.test');
+const PASSWORD = envString('PASSWORD', 'Test1234!');
+const TEAMS_MIN = envInt('TEAMS_MIN', 2, { min: 0 });
+const TEAMS_MAX = envInt('TEAMS_MAX', 5, { min: TEAMS_MIN });
+const SEED = envInt('SEED', 1);
+const BATCH = envInt('BATCH', 20, { min: 1 });
+
+const USERS_FILE = envString('USERS_FILE', './users.json');
+const USERS_OUT = envString('USERS_OUT', 'users.json');
+
+// open() only works in the init context, so the teardown list is read up front.
+const TEARDOWN_USERS = ACTION === 'teardown' ? parseUsers(open(USERS_FILE), USERS_FILE) : [];
+
+export const options = {
+  scenarios: {
+    // All the work happens in setup(); this keeps k6 happy.
+    noop: { executor: 'shared-iterations', vus: 1, iterations: 1 }
+  },
+  setupTimeout: envDuration('SETUP_TIMEOUT', '10m')
+};
+
+function jsonParams() {
+  return { headers: tagHeaders({ 'Content-Type': 'application/json' }) };
+}
+
+function authParams(token) {
+  return { headers: tagHeaders({ 'Content-Type': 'application/json', Authorization: `Bearer ${token}` }) };
+}
+
+// Small deterministic PRNG so the same SEED gives every account the same teams.
+function mulberry32(seed) {
+  let a = seed >>> 0;
+  return function () {
+    a = (a + 0x6d2b79f5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function seededTeams(index) {
+  const rnd = mulberry32(SEED * 100003 + index);
+  const count = TEAMS_MIN + Math.floor(rnd() * (TEAMS_MAX - TEAMS_MIN + 1));
+  return pickTeams(count, rnd);
+}
+
+function tokenOf(res) {
+  try {
+    const t = res.json('token');
+    return typeof t === 'string' ? t : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+function login(user) {
+  const res = http.post(`${BASE_URL}/auth/login`, JSON.stringify(user), jsonParams());
+  return res.status === 200 ? tokenOf(res) : null;
+}
+
+function chunks(arr, size) {
+  const out = [];
+  for (let i = 0; i < arr.length; i += size) out.push(arr.slice(i, i + size));
+  return out;
+}
+
+function provision() {
+  const wanted = [];
+  for (let i = 1; i <= USER_COUNT; i++) {
+    const email = `${USER_PREFIX}${String(i).padStart(4, '0')}@${USER_DOMAIN}`;
+    wanted.push({ email, password: PASSWORD, teams: seededTeams(i) });
+  }
+
+  const stats = { created: 0, existing: 0, failed: 0 };
+  const users = [];
+
+  for (const chunk of chunks(wanted, BATCH)) {
+    const regs = http.batch(
+      chunk.map((u) => [
+        'POST',
+        `${BASE_URL}/auth/register`,
+        JSON.stringify({ email: u.email, password: u.password, name: u.email.split('@')[0] }),
+        jsonParams()
+      ])
+    );
+
+    const ready = [];
+    chunk.forEach((u, i) => {
+      const r = regs[i];
+      let token = null;
+      if (r.status === 200 || r.status === 201) {
+        token = tokenOf(r) || login(u);
+        if (token) stats.created++;
+      } else if (r.status === 409) {
+        token = login(u);
+        if (token) stats.existing++;
+      }
+      if (!token) {
+        stats.failed++;
+        console.warn(`provision: ${u.email} register=${r.status} — skipped`);
+        return;
+      }
+      ready.push({ u, token });
+    });
+
+    const seeds = http.batch(
+      ready.map(({ u, token }) => [
+        'PUT',
+        `${BASE_URL}/user-teams`,
+        JSON.stringify({ team_ids: u.teams }),
+        authParams(token)
+      ])
+    );
+
+    ready.forEach(({ u }, i) => {
+      const ok = check(seeds[i], { 'provision follow teams 2xx': (r) => r.status >= 200 && r.status < 300 });
+      if (ok) users.push(u);
+      else stats.failed++;
+    });
+  }
+
+  return { action: 'provision', stats, users };
+}
+
+function teardownAccounts() {
+  const stats = { removed: 0, failed: 0 };
+
+  for (const u of TEARDOWN_USERS) {
+    const token = login(u);
+    if (!token) {
+      stats.failed++;
+      continue;
+    }
+    const res = TEARDOWN === 'delete'
+      ? http.del(`${BASE_URL}/users/me`, null, authParams(token))
+      : http.put(`${BASE_URL}/user-teams`, JSON.stringify({ team_ids: [] }), authParams(token));
+
+    const ok = check(res, { [`teardown ${TEARDOWN} 2xx`]: (r) => r.status >= 200 && r.status < 300 });
+    if (ok) stats.removed++;
+    else stats.failed++;
+  }
+
+  return { action: 'teardown', stats, users: [] };
+}
+
+export function setup() {
+  preflight(BASE_URL);
+  return ACTION === 'provision' ? provision() : teardownAccounts();
+}
+
+export default function () {}
+
+function usersJson(users) {
+  // Same layout as createusers.sh writes.
+  const lines = users.map(
+    (u) => `  { "email": ${JSON.stringify(u.email)}, "password": ${JSON.stringify(u.password)} }`
+  );
+  return `[\n${lines.join(',\n')}\n]\n`;
+}
+
+export function handleSummary(data) {
+  const sd = data.setup_data || {};
+  const stats = Object.entries(sd.stats || {}).map(([k, v]) => `${k}=${v}`).join(' ');
+  const out = { stdout: `\n=== provision_users (${ACTION}) ===\n${stats || 'no result'}\n` };
+
+  if (sd.action === 'provision' && sd.users?.length) {
+    out[USERS_OUT] = usersJson(sd.users);
+    out.stdout += `wrote ${sd.users.length} accounts to ${USERS_OUT}\n`;
+  }
+  return out;
+}
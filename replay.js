@@ -0,0 +1,623 @@
+// replay.js
+// Traffic replay from a HAR export or an API access log (capture.js).
+//
+//   REPLAY_MODE=timing (default with CAPTURE_FILE)
+//     k6 run -e CAPTURE_FILE=web.har -e ENV=staging replay.js
+//     Replays the capture with its original timing and concurrency: every
+//     session starts at its original offset (REPLAY_SPEED compresses time),
+//     requests that overlapped in the capture go out as one http.batch, and
+//     sessions that never overlapped share a VU. Paths and ids are replayed
+//     as captured.
+//
+//   REPLAY_MODE=export
+//     k6 run -e CAPTURE_FILE=access.log -e REPLAY_MODE=export replay.js
+//     Sends nothing; writes a journey definition to JOURNEY_OUT (default
+//     journeys.json): the JOURNEY_MAX most frequent route sequences, weighted,
+//     with median think times and ids turned into slots (team 0, lump 1, ...).
+//
+//   REPLAY_MODE=journey (default with JOURNEY_FILE)
+//     k6 run -e JOURNEY_FILE=journeys.json [-e PROFILE=load] replay.js
+//     Runs the journeys as a normal load test: one weighted journey per
+//     iteration, team slots drawn from the teams.js catalog, lump slots from
+//     lumps the iteration has seen, cursors from the previous page. Think times
+//     go through pacing.js (step = endpoint id).
+//
+// Captured tokens, cookies and bodies are never sent. Authenticated routes use
+// the credential pool (credentials.js / auth.js) and the captured login and
+// refresh calls are left to auth.js. Writes are skipped unless REPLAY_WRITES=1;
+// then they go through writes.js, tagged and cleaned up at the end of the
+// session. Account lifecycle routes (register, set teams, delete account) are
+// never replayed.
+//
+//   REPLAY_SPEED    time compression for REPLAY_MODE=timing (default 1; 2 = twice as fast)
+//   REPLAY_WRITES   1 replays comments, reactions and follows (default 0)
+//   JOURNEY_MAX     journeys kept by REPLAY_MODE=export (default 20)
+//   SESSION_GAP_SEC idle gap that splits a client's traffic into sessions (capture.js)
+import http from 'k6/http';
+import { check, sleep } from 'k6';
+import { Counter, Trend } from 'k6/metrics';
+import exec from 'k6/execution';
+import { SharedArray } from 'k6/data';
+import {
+  withRequestId,
+  isOk,
+  safeJSON,
+  defineEndpoints,
+  recordEndpoint,
+  endpointThresholds,
+  endpointSummary,
+  mergeThresholds,
+  submetricKey,
+  metricVals,
+  fmtInt,
+  fmtMs,
+  SUMMARY_TREND_STATS
+} from './common.js';
+import {
+  ROUTES,
+  routeById,
+  parseCapture,
+  sessionsOf,
+  captureStats
+} from './capture.js';
+import { vuCredential, checkPoolCapacity, sampleCredential } from './credentials.js';
+import { initAuth, sessionToken, noteUnauthorized, authThresholds, authSummary } from './auth.js';
+import {
+  initWrites,
+  postComment,
+  reactToLump,
+  followTeam,
+  unfollowTeam,
+  cleanupWrites,
+  pendingWrites,
+  writeBaseline,
+  sweepWrites,
+} from './writes.js';
+import { pickTeams } from './teams.js';
+import { olderCursor } from './scroll.js';
+import { think } from './pacing.js';
+import { profileScenario, activeProfile } from './profiles.js';
+import { summaryOutputs } from './report.js';
+import { sloThresholds, sloSummary } from './slo.js';
+import { initWindows, windowThresholds, windowSummary } from './windows.js';
+import { baselineThresholds, baselineSummary } from './baseline.js';
+import { guardTarget, preflight, guardThresholds, guardSummary } from './guard.js';
+import { API_BASE, TEST_TAG, testTag, tagHeaders, envBool, envEnum, envInt, envNumber, envString } from './config.js';
+
+const BASE_URL = API_BASE;
+const CAPTURE_FILE = envString('CAPTURE_FILE', '');
+const JOURNEY_FILE = envString('JOURNEY_FILE', '');
+const REPLAY_MODE = envEnum('REPLAY_MODE', JOURNEY_FILE ? 'journey' : 'timing', ['timing', 'export', 'journey']);
+const REPLAY_SPEED = envNumber('REPLAY_SPEED', 1, { min: 0 });
+const REPLAY_WRITES = envBool('REPLAY_WRITES', false);
+const JOURNEY_OUT = envString('JOURNEY_OUT', 'journeys.json');
+const JOURNEY_MAX = envInt('JOURNEY_MAX', 20, { min: 1 });
+
+if (REPLAY_MODE === 'journey' ? !JOURNEY_FILE : !CAPTURE_FILE) {
+  throw new Error(`REPLAY_MODE=${REPLAY_MODE} needs ${REPLAY_MODE === 'journey' ? 'JOURNEY_FILE' : 'CAPTURE_FILE'}`);
+}
+if (!(REPLAY_SPEED > 0)) throw new Error(`REPLAY_SPEED must be > 0 (got ${REPLAY_SPEED})`);
+// Export mode sends nothing; the replaying modes are held to the guardrails.
+if (REPLAY_MODE !== 'export') guardTarget(BASE_URL);
+
+// Handled by auth.js (login, refresh) or never replayed (account lifecycle).
+const AUTH_ROUTES = ['login', 'refresh'];
+const ACCOUNT_ROUTES = ['register', 'set_teams', 'delete_me'];
+// Deletes of content the capture created; writes.js undoes what the replay creates.
+const UNDO_ROUTES = ['comment_delete', 'reaction_delete'];
+const SKIP_REASONS = ['unmatched', 'account', 'write', 'undo', 'no_id', 'no_token'];
+
+const replaySkipped = new Counter('replay_skipped');
+const replayLag = new Trend('replay_lag', true);
+
+// ------------------------
+// Capture / journeys (init context)
+// ------------------------
+function assignLanes(sessions) {
+  const laneEnd = [];
+  for (const s of sessions) {
+    let lane = laneEnd.findIndex((end) => end <= s.start);
+    if (lane < 0) {
+      lane = laneEnd.length;
+      laneEnd.push(0);
+    }
+    laneEnd[lane] = s.end;
+    s.lane = lane;
+  }
+  return laneEnd.length;
+}
+
+// The capture is parsed once (first VU's init) and shared: sessions one per
+// element, plus one META element with the totals and each VU lane's sessions.
+let PARSED = null;
+function parsed() {
+  if (!PARSED) {
+    const entries = parseCapture(open(CAPTURE_FILE), CAPTURE_FILE);
+    const sessions = sessionsOf(entries);
+    const lanes = assignLanes(sessions);
+    PARSED = { entries, sessions, lanes };
+  }
+  return PARSED;
+}
+
+const SESSIONS = CAPTURE_FILE ? new SharedArray('replay_sessions', () => parsed().sessions) : [];
+const META = CAPTURE_FILE
+  ? new SharedArray('replay_meta', () => {
+      const { entries, sessions, lanes } = parsed();
+      const laneSessions = Array.from({ length: lanes }, () => []);
+      sessions.forEach((s, i) => laneSessions[s.lane].push(i));
+      return [{
+        ...captureStats(entries, sessions),
+        start: sessions[0]?.start ?? 0,
+        end: sessions.reduce((max, s) => Math.max(max, s.end), 0),
+        laneSessions,
+      }];
+    })[0]
+  : null;
+
+function loadJourneys() {
+  const doc = JSON.parse(open(JOURNEY_FILE));
+  const journeys = doc?.journeys;
+  if (!Array.isArray(journeys) || journeys.length === 0) throw new Error(`${JOURNEY_FILE}: no journeys`);
+  for (const j of journeys) {
+    for (const step of j.steps || []) {
+      if (!routeById(step.endpoint)) throw new Error(`${JOURNEY_FILE}: unknown endpoint "${step.endpoint}"`);
+    }
+  }
+  return doc;
+}
+
+const JOURNEYS = REPLAY_MODE === 'journey' ? loadJourneys() : null;
+
+// Only routes the capture / journeys use get a row in the summary.
+function usedRoutes() {
+  const ids = new Set();
+  if (META) for (const id of META.routes) ids.add(id);
+  if (JOURNEYS) for (const j of JOURNEYS.journeys) for (const s of j.steps) ids.add(s.endpoint);
+  ids.add('login');
+  ids.add('refresh');
+  return ROUTES.filter((r) => (ids.has(r.id) || (REPLAY_WRITES && r.write)) && !ACCOUNT_ROUTES.includes(r.id));
+}
+
+const EP = defineEndpoints(
+  Object.fromEntries(usedRoutes().map((r) => [r.id, `${r.method} ${r.template}`]))
+);
+
+function guestParams() {
+  return {
+    headers: tagHeaders({ 'Content-Type': 'application/json' }),
+    tags: { test_tag: testTag() },
+  };
+}
+
+function authParams(token) {
+  const p = guestParams();
+  p.headers.Authorization = `Bearer ${token}`;
+  return p;
+}
+
+initAuth({ baseUrl: BASE_URL, guestParams, endpoints: { login: EP.login, refresh: EP.refresh } });
+
+if (REPLAY_WRITES) {
+  initWrites({
+    baseUrl: BASE_URL,
+    authParams,
+    endpoints: {
+      commentPost: EP.comment_post,
+      commentDelete: EP.comment_delete,
+      reactionPost: EP.reaction_post,
+      reactionDelete: EP.reaction_delete,
+      teamFollow: EP.team_follow,
+      teamUnfollow: EP.team_unfollow,
+    },
+  });
+}
+
+// ------------------------
+// k6 OPTIONS
+// ------------------------
+function scenario() {
+  if (REPLAY_MODE === 'export') {
+    // Nothing is sent; handleSummary() writes the journeys.
+    return { executor: 'shared-iterations', vus: 1, iterations: 1 };
+  }
+  if (REPLAY_MODE === 'journey') {
+    return profileScenario('load', {
+      vus: envInt('VUS', 20, { min: 1 }),
+      rate: envNumber('RATE', 1, { min: 0 }),
+      iterationSec: 60,
+    });
+  }
+  return {
+    executor: 'per-vu-iterations',
+    vus: Math.max(1, META.laneSessions.length),
+    iterations: 1,
+    maxDuration: `${Math.ceil((META.end - META.start) / 1000 / REPLAY_SPEED) + 300}s`,
+  };
+}
+
+function skipThresholds() {
+  const out = {};
+  for (const reason of SKIP_REASONS) out[submetricKey('replay_skipped', { reason })] = [];
+  return out;
+}
+
+const SCENARIOS = { replay: scenario() };
+if (REPLAY_MODE !== 'export') initWindows(SCENARIOS);
+
+export const options = {
+  scenarios: SCENARIOS,
+  thresholds: REPLAY_MODE === 'export'
+    ? {}
+    : mergeThresholds(
+        // Scoped to the scenario, so setup() / teardown() requests stay out.
+        { 'http_req_failed{scenario:replay}': ['rate<0.05'] },
+        endpointThresholds(),
+        authThresholds(),
+        skipThresholds(),
+        sloThresholds(),
+        guardThresholds(),
+        windowThresholds(),
+        baselineThresholds()
+      ),
+  summaryTrendStats: SUMMARY_TREND_STATS,
+  tags: { test_tag: TEST_TAG, test_type: `replay_${REPLAY_MODE}` },
+};
+
+export function setup() {
+  if (REPLAY_MODE === 'export') return;
+  const auth = usedRoutes().some((r) => r.auth);
+  if (auth) checkPoolCapacity('replay');
+  preflight(BASE_URL, auth ? sampleCredential() : undefined);
+  return REPLAY_WRITES && auth ? writeBaseline() : null;
+}
+
+// Writes of iterations k6 cut off at the end of the run.
+export function teardown(data) {
+  sweepWrites(data);
+}
+
+// ------------------------
+// Requests
+// ------------------------
+function skip(reason) {
+  replaySkipped.add(1, { reason });
+  return null;
+}
+
+function queryString(query) {
+  const parts = Object.entries(query || {}).map(([k, v]) => `${k}=${encodeURIComponent(v)}`);
+  return parts.length > 0 ? `?${parts.join('&')}` : '';
+}
+
+// Token for an authenticated route; null (and counted) when login failed.
+function tokenFor(route) {
+  if (!route.auth) return '';
+  const { token } = sessionToken(vuCredential());
+  return token || skip('no_token');
+}
+
+// Undo this VU's writes. Without a token they stay queued for its next iteration.
+function cleanup() {
+  if (!REPLAY_WRITES || pendingWrites() === 0) return;
+  const token = tokenFor({ auth: true });
+  if (token) cleanupWrites(token);
+  else console.warn(`replay: no token, ${pendingWrites()} writes left for the next iteration's cleanup`);
+}
+
+/**
+ * One write through writes.js. `id` is the path id (team / lump), `lumpId`
+ * the lump to comment on.
+ */
+function sendWrite(route, id, lumpId) {
+  if (!REPLAY_WRITES) return skip('write');
+  if (UNDO_ROUTES.includes(route.id)) return skip('undo');
+
+  const token = tokenFor(route);
+  if (token === null) return null;
+
+  let res = null;
+  if (route.id === 'comment_post') res = lumpId ? postComment(token, lumpId) : skip('no_id');
+  else if (route.id === 'reaction_post') res = reactToLump(token, id);
+  else if (route.id === 'team_follow') res = followTeam(token, id);
+  else if (route.id === 'team_unfollow') res = unfollowTeam(token, id);
+  if (res) noteUnauthorized(res, route.id);
+  return res;
+}
+
+// [method, url, body, params] for http.batch(), or null when the route is not sent.
+function readRequest(route, path, query) {
+  const token = tokenFor(route);
+  if (token === null) return null;
+  const params = withRequestId(route.auth ? authParams(token) : guestParams());
+  return ['GET', `${BASE_URL}${path}${queryString(query)}`, null, params];
+}
+
+function recordRead(route, res) {
+  recordEndpoint(EP[route.id], res);
+  check(res, { [`replay ${route.method} ${route.template} ok`]: isOk });
+  if (route.auth) noteUnauthorized(res, route.id);
+}
+
+function classify(routeId) {
+  if (!routeId) return 'unmatched';
+  if (AUTH_ROUTES.includes(routeId)) return 'auth';
+  if (ACCOUNT_ROUTES.includes(routeId)) return 'account';
+  return routeById(routeId).write ? 'write' : 'read';
+}
+
+// ------------------------
+// REPLAY_MODE=timing
+// ------------------------
+// Entries whose start falls inside an earlier entry's time in flight go out together.
+function batchesOf(entries) {
+  const out = [];
+  let cur = null;
+  let busyUntil = 0;
+  for (const e of entries) {
+    if (!cur || e.t >= busyUntil) {
+      cur = [];
+      out.push(cur);
+    }
+    cur.push(e);
+    busyUntil = Math.max(busyUntil, e.t + e.durationMs);
+  }
+  return out;
+}
+
+function waitUntil(due) {
+  const wait = due - Date.now();
+  if (wait > 0) sleep(wait / 1000);
+  replayLag.add(Math.max(0, -wait));
+}
+
+function replayEntries(batch, lastLump) {
+  const reads = [];
+  for (const e of batch) {
+    const kind = classify(e.route);
+    if (kind === 'unmatched' || kind === 'account') skip(kind);
+    if (kind !== 'read') continue;
+    const req = readRequest(routeById(e.route), e.path, e.query);
+    if (req) reads.push([routeById(e.route), req]);
+  }
+
+  if (reads.length === 1) {
+    const [route, [, url, , params]] = reads[0];
+    recordRead(route, http.get(url, params));
+  } else if (reads.length > 1) {
+    const responses = http.batch(reads.map(([, req]) => req));
+    responses.forEach((res, i) => recordRead(reads[i][0], res));
+  }
+
+  for (const e of batch) {
+    if (classify(e.route) === 'write') sendWrite(routeById(e.route), e.id, lastLump);
+  }
+}
+
+function replaySession(session, t0) {
+  let lastLump = null;
+  for (const batch of batchesOf(session.entries)) {
+    waitUntil(t0 + (batch[0].t - META.start) / REPLAY_SPEED);
+    replayEntries(batch, lastLump);
+    for (const e of batch) {
+      if (e.query.lump_id) lastLump = e.query.lump_id;
+      else if (routeById(e.route)?.param === 'lump') lastLump = e.id;
+    }
+  }
+  cleanup();
+}
+
+function replayLane() {
+  const t0 = exec.scenario.startTime;
+  for (const i of META.laneSessions[exec.vu.idInTest - 1] || []) replaySession(SESSIONS[i], t0);
+}
+
+// ------------------------
+// REPLAY_MODE=export
+// ------------------------
+function slot(list, value) {
+  let i = list.indexOf(value);
+  if (i < 0) {
+    list.push(value);
+    i = list.length - 1;
+  }
+  return i;
+}
+
+// A session as journey steps; think_s is the pause after the step.
+function journeySteps(session) {
+  const teams = [];
+  const lumps = [];
+  const entries = session.entries.filter((e) => ['read', 'write'].includes(classify(e.route)));
+  const steps = entries.map((e, i) => {
+    const route = routeById(e.route);
+    const step = { endpoint: e.route };
+    if (route.param === 'team') step.team = slot(teams, e.id);
+    if (route.param === 'lump') step.lump = slot(lumps, e.id);
+    if (e.query.lump_id) step.lump = slot(lumps, e.query.lump_id);
+    const keys = Object.keys(e.query).filter((k) => k !== 'lump_id');
+    if (keys.length > 0) step.query = keys;
+    const next = entries[i + 1];
+    step.think_s = next ? Math.max(0, next.t - e.t - e.durationMs) / 1000 : 0;
+    return step;
+  });
+  return { steps, teams: teams.length };
+}
+
+function median(xs) {
+  const s = xs.slice().sort((a, b) => a - b);
+  const mid = Math.floor(s.length / 2);
+  return s.length % 2 ? s[mid] : (s[mid - 1] + s[mid]) / 2;
+}
+
+function buildJourneys() {
+  const groups = new Map();
+  for (const session of SESSIONS) {
+    const j = journeySteps(session);
+    if (j.steps.length === 0) continue;
+    const key = j.steps.map((s) => (s.query ? `${s.endpoint}?${s.query.join('&')}` : s.endpoint)).join(' > ');
+    let g = groups.get(key);
+    if (!g) {
+      g = { ...j, weight: 0, thinks: j.steps.map(() => []) };
+      groups.set(key, g);
+    }
+    g.weight++;
+    j.steps.forEach((s, i) => g.thinks[i].push(s.think_s));
+  }
+
+  const all = Array.from(groups.values()).sort((a, b) => b.weight - a.weight);
+  return {
+    kept: all.slice(0, JOURNEY_MAX).map((g) => ({
+      weight: g.weight,
+      teams: g.teams,
+      steps: g.steps.map((s, i) => ({ ...s, think_s: Math.round(median(g.thinks[i]) * 10) / 10 })),
+    })),
+    dropped: all.slice(JOURNEY_MAX).reduce((n, g) => n + g.weight, 0),
+  };
+}
+
+function journeyDocument() {
+  const { kept, dropped } = buildJourneys();
+  return {
+    source: CAPTURE_FILE,
+    generated_at: new Date().toISOString(),
+    sessions: META.sessions,
+    dropped_sessions: dropped,
+    unmatched: META.unmatched,
+    journeys: kept,
+  };
+}
+
+// ------------------------
+// REPLAY_MODE=journey
+// ------------------------
+function pickJourney() {
+  const total = JOURNEYS.journeys.reduce((n, j) => n + (j.weight || 1), 0);
+  let r = Math.random() * total;
+  for (const j of JOURNEYS.journeys) {
+    r -= j.weight || 1;
+    if (r < 0) return j;
+  }
+  return JOURNEYS.journeys[JOURNEYS.journeys.length - 1];
+}
+
+function newestCursor(json) {
+  let newest = null;
+  for (const l of Array.isArray(json?.lumps) ? json.lumps : []) {
+    const t = l?.updated_at || l?.created_at || null;
+    if (t && (!newest || t > newest)) newest = t;
+  }
+  return newest;
+}
+
+// Query values for a step from the previous response of the same endpoint.
+function resolveQuery(step, ctx) {
+  const prev = ctx.last[step.endpoint];
+  const query = {};
+  for (const key of step.query || []) {
+    let v = null;
+    if (key === 'after_date') v = newestCursor(prev);
+    else if (key === 'before_date') v = olderCursor(prev);
+    else if (key === 'cursor') v = prev?.next_cursor ?? null;
+    if (v !== null && v !== undefined && v !== '') query[key] = v;
+  }
+  return query;
+}
+
+function lumpFor(step, ctx) {
+  if (step.lump === undefined) return null;
+  return ctx.lumps.length > 0 ? ctx.lumps[step.lump % ctx.lumps.length] : null;
+}
+
+function runStep(step, ctx) {
+  const route = routeById(step.endpoint);
+  const team = step.team !== undefined ? ctx.teams[step.team % ctx.teams.length] : null;
+  const lump = lumpFor(step, ctx);
+  if ((route.param === 'team' && !team) || (route.param === 'lump' && !lump)) return skip('no_id');
+
+  if (route.write) return sendWrite(route, route.param === 'team' ? team : lump, lump);
+
+  const query = resolveQuery(step, ctx);
+  if (route.id === 'comments') {
+    if (!lump) return skip('no_id');
+    query.lump_id = lump;
+  }
+  const path = route.template.replace(':id', route.param === 'team' ? team : lump);
+  const req = readRequest(route, path, query);
+  if (!req) return null;
+
+  const res = http.get(req[1], req[3]);
+  recordRead(route, res);
+  const json = res.status === 200 ? safeJSON(res) : null;
+  if (json) {
+    ctx.last[route.id] = json;
+    for (const l of Array.isArray(json.lumps) ? json.lumps : []) {
+      const id = l?.id ?? l?.lump_id;
+      if (id !== undefined && id !== null && !ctx.lumps.includes(id)) ctx.lumps.push(id);
+    }
+  }
+  return res;
+}
+
+function runJourney() {
+  const journey = pickJourney();
+  const ctx = { teams: pickTeams(Math.max(1, journey.teams || 0)), lumps: [], last: {} };
+  for (const step of journey.steps) {
+    runStep(step, ctx);
+    if (step.think_s > 0) think(step.endpoint, [step.think_s, step.think_s]);
+  }
+  cleanup();
+}
+
+export default function () {
+  if (REPLAY_MODE === 'timing') replayLane();
+  else if (REPLAY_MODE === 'journey') runJourney();
+}
+
+// ------------------------
+// Summary
+// ------------------------
+function replaySummary(data) {
+  const lines = [`\n=== Replay (REPLAY_MODE=${REPLAY_MODE}) ===`];
+  if (META) {
+    lines.push(
+      `${CAPTURE_FILE}: ${fmtInt(META.requests)} requests (${fmtInt(META.matched)} on known routes), ` +
+        `${fmtInt(META.sessions)} sessions over ${fmtInt(META.span_sec)}s`
+    );
+    if (REPLAY_MODE === 'timing') lines.push(`concurrency: ${fmtInt(META.laneSessions.length)} VUs, speed x${REPLAY_SPEED}`);
+  }
+  if (JOURNEYS) lines.push(`${JOURNEY_FILE}: ${fmtInt(JOURNEYS.journeys.length)} journeys from ${JOURNEYS.source ?? '-'}`);
+
+  const skipped = SKIP_REASONS
+    .map((reason) => [reason, metricVals(data, submetricKey('replay_skipped', { reason }))?.count ?? 0])
+    .filter(([, n]) => n > 0)
+    .map(([reason, n]) => `${reason}=${fmtInt(n)}`);
+  lines.push(`skipped: ${skipped.length > 0 ? skipped.join(' ') : 'none'}`);
+
+  const lag = metricVals(data, 'replay_lag');
+  if (REPLAY_MODE === 'timing' && lag) lines.push(`behind schedule: avg ${fmtMs(lag.avg)}, p95 ${fmtMs(lag['p(95)'])}, max ${fmtMs(lag.max)}`);
+
+  const unmatched = META ? Object.entries(META.unmatched) : [];
+  if (unmatched.length > 0) lines.push(`unmatched routes: ${unmatched.map(([k, n]) => `${k} (${n})`).join(', ')}`);
+  return lines.join('\n') + '\n';
+}
+
+export function handleSummary(data) {
+  if (REPLAY_MODE === 'export') {
+    const doc = journeyDocument();
+    return {
+      stdout: replaySummary(data) + `wrote ${doc.journeys.length} journeys (${doc.dropped_sessions} sessions dropped) to ${JOURNEY_OUT}\n`,
+      [JOURNEY_OUT]: JSON.stringify(doc, null, 2) + '\n',
+    };
+  }
+
+  const text =
+    endpointSummary(data) + sloSummary(data) + authSummary(data) + replaySummary(data) +
+    guardSummary(data, BASE_URL) + windowSummary(data) + baselineSummary(data);
+  return summaryOutputs(data, text, {
+    script: 'replay',
+    testTag: testTag(),
+    profile: REPLAY_MODE === 'journey' ? activeProfile('load') : 'replay',
+    baseUrl: BASE_URL,
+  });
+}
@@ -0,0 +1,331 @@
+// report.js
+// Files written from handleSummary(), next to the stdout table.
+//
+//   HTML_REPORT   standalone HTML report (default <script>-report.html; 0 disables).
+//                 One file, inline CSS, no external assets — attach it to a ticket as is.
+//   SUMMARY_JSON  JSON document for deploy gates (see summaryDocument(); not written unless set)
+//   JUNIT_XML     JUnit XML: one test case per threshold and per endpoint SLO (not written unless set)
+//   SUMMARY_CSV   per-endpoint table as CSV (not written unless set)
+//
+// The JSON layout is the same for every script; bump SUMMARY_SCHEMA_VERSION
+// whenever a field is renamed or removed.
+//
+// Endpoint verdicts come only from the endpoint's slo.json thresholds (slo.js
+// sloVerdict()); script-wide thresholds such as http_req_duration are reported
+// on their own.
+import {
+  APDEX_T_MS,
+  endpointRows,
+  endpointHistogram,
+  failureRows,
+  metricVals,
+  thresholdsOk,
+  fmtMs,
+  fmtPct,
+  fmtInt
+} from './common.js';
+import { ENV_NAME, envString } from './config.js';
+import { sloResults, sloVerdict } from './slo.js';
+
+const HTML_REPORT = envString('HTML_REPORT', '');
+const SUMMARY_JSON = envString('SUMMARY_JSON', '');
+const JUNIT_XML = envString('JUNIT_XML', '');
+const SUMMARY_CSV = envString('SUMMARY_CSV', '');
+
+export const SUMMARY_SCHEMA_VERSION = 1;
+
+function esc(s) {
+  return String(s)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// 'pass' | 'fail' | '' over every key that carries thresholds.
+function verdict(data, keys) {
+  const results = keys
+    .filter((k) => Object.keys(data.metrics[k]?.thresholds || {}).length > 0)
+    .map((k) => thresholdsOk(data, k));
+  if (results.length === 0) return '';
+  return results.every(Boolean) ? 'pass' : 'fail';
+}
+
+// Standard Apdex rating bands.
+function apdexClass(score) {
+  if (score === null) return '';
+  if (score >= 0.85) return 'pass';
+  if (score >= 0.7) return 'warn';
+  return 'fail';
+}
+
+function fmtDuration(ms) {
+  if (!Number.isFinite(ms)) return '-';
+  const s = Math.round(ms / 1000);
+  const h = Math.floor(s / 3600);
+  const m = Math.floor((s % 3600) / 60);
+  return `${h > 0 ? `${h}h` : ''}${m > 0 ? `${m}m` : ''}${s % 60}s`;
+}
+
+function table(head, rows) {
+  const th = head.map((h) => `<th>${esc(h)}</th>`).join('');
+  const trs = rows
+    .map((r) => {
+      const cls = r.cls ? ` class="${r.cls}"` : '';
+      const tds = r.cells
+        .map((c) => (typeof c === 'object' ? `<td class="${c.cls}">${esc(c.v)}</td>` : `<td>${esc(c)}</td>`))
+        .join('');
+      return `<tr${cls}>${tds}</tr>`;
+    })
+    .join('\n');
+  return `<table><thead><tr>${th}</tr></thead><tbody>\n${trs}\n</tbody></table>`;
+}
+
+function metaSection(data, meta) {
+  const vus = metricVals(data, 'vus_max');
+  const items = [
+    ['Script', meta.script],
+    ['Environment', ENV_NAME],
+    ['Test tag', meta.testTag],
+    ['Profile', meta.profile],
+    ['Base URL', meta.baseUrl],
+    ['Max VUs', fmtInt(vus?.max ?? vus?.value ?? null)],
+    ['Duration', fmtDuration(data.state?.testRunDurationMs)],
+    ['Apdex T', `${APDEX_T_MS}ms`],
+    ['Generated', new Date().toISOString()],
+  ];
+  const dl = items.map(([k, v]) => `<dt>${esc(k)}</dt><dd>${esc(v ?? '-')}</dd>`).join('');
+  return `<h2>Run</h2><dl>${dl}</dl>`;
+}
+
+// "metric: expression" of the endpoint's SLO thresholds that failed.
+function failedThresholds(data, id) {
+  return sloResults(data, id)
+    .filter((r) => r.ok === false)
+    .map((r) => `${r.key}: ${r.threshold}`);
+}
+
+// Endpoint rows with their SLO verdict ('pass' | 'fail' | '' when nothing applies).
+function endpointResults(data) {
+  return endpointRows(data).map((r) => ({ ...r, verdict: sloVerdict(data, r.id) }));
+}
+
+function endpointSection(data) {
+  const rows = endpointResults(data).map((r) => ({
+    cls: r.verdict,
+    cells: [
+      r.name,
+      fmtInt(r.reqs),
+      fmtInt(r.fails),
+      fmtPct(r.failRate),
+      fmtMs(r.avg),
+      fmtMs(r.p90),
+      fmtMs(r.p95),
+      fmtMs(r.max),
+      { v: r.apdex === null ? '-' : r.apdex.toFixed(2), cls: apdexClass(r.apdex) },
+    ],
+  }));
+  return '<h2>Endpoints</h2>' +
+    table(['endpoint', 'reqs', 'fails', 'fail%', 'avg', 'p90', 'p95', 'max', 'apdex'], rows);
+}
+
+function timingSection(data) {
+  const rows = [
+    ['connecting', 'timing_connecting'],
+    ['tls_handshaking', 'timing_tls_handshaking'],
+    ['waiting', 'timing_waiting'],
+  ].map(([label, key]) => {
+    const v = metricVals(data, key) || {};
+    return { cells: [label, fmtMs(v.avg ?? null), fmtMs(v['p(90)'] ?? null), fmtMs(v['p(95)'] ?? null), fmtMs(v.max ?? null)] };
+  });
+  return '<h2>Timing breakdown</h2>' + table(['phase', 'avg', 'p90', 'p95', 'max'], rows);
+}
+
+// Checks from the root group and every nested group.
+function collectChecks(group, out = []) {
+  for (const c of group?.checks || []) out.push(c);
+  for (const g of group?.groups || []) collectChecks(g, out);
+  return out;
+}
+
+function checkSection(data) {
+  const rows = collectChecks(data.root_group).map((c) => {
+    const total = c.passes + c.fails;
+    return {
+      cls: c.fails > 0 ? 'fail' : 'pass',
+      cells: [c.name, fmtInt(c.passes), fmtInt(c.fails), fmtPct(total > 0 ? c.passes / total : null)],
+    };
+  });
+  if (rows.length === 0) return '<h2>Checks</h2><p>none</p>';
+  return '<h2>Checks</h2>' + table(['check', 'passes', 'fails', 'pass rate'], rows);
+}
+
+function failureSection(data) {
+  const rows = failureRows(data).map((f) => ({ cls: 'fail', cells: [f.label, f.signature, fmtInt(f.count)] }));
+  if (rows.length === 0) return '<h2>Failures</h2><p>none</p>';
+  return '<h2>Failures</h2>' + table(['endpoint', 'signature', 'count'], rows);
+}
+
+// Every threshold expression with its result, in data.metrics order.
+function thresholdResults(data) {
+  const out = [];
+  for (const [metric, m] of Object.entries(data.metrics)) {
+    for (const [expr, t] of Object.entries(m.thresholds || {})) {
+      out.push({ metric, threshold: expr, ok: t.ok });
+    }
+  }
+  return out;
+}
+
+function thresholdSection(data) {
+  const rows = thresholdResults(data).map((t) => ({
+    cls: t.ok ? 'pass' : 'fail',
+    cells: [t.metric, t.threshold, t.ok ? 'PASS' : 'FAIL'],
+  }));
+  if (rows.length === 0) return '<h2>Thresholds</h2><p>none</p>';
+  return '<h2>Thresholds</h2>' + table(['metric', 'threshold', 'result'], rows);
+}
+
+const STYLE = `
+body { font: 14px/1.4 -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; margin: 2em; color: #222; }
+h1 { font-size: 1.5em; } h2 { font-size: 1.15em; margin-top: 1.8em; }
+dl { display: grid; grid-template-columns: max-content auto; gap: .2em 1.5em; }
+dt { font-weight: 600; } dd { margin: 0; font-family: monospace; }
+table { border-collapse: collapse; }
+th, td { border: 1px solid #ccc; padding: .3em .7em; text-align: right; }
+th:first-child, td:first-child { text-align: left; }
+th { background: #f2f2f2; }
+.pass { background: #e6f4ea; } .warn { background: #fef7e0; } .fail { background: #fce8e6; }
+`;
+
+/**
+ * Self-contained HTML report for handleSummary().
+ * @param {object} data handleSummary() argument
+ * @param {{script: string, testTag?: string, profile?: string, baseUrl?: string}} meta
+ */
+export function htmlReport(data, meta) {
+  const overall = verdict(data, Object.keys(data.metrics));
+  const title = `${meta.script} load test${overall ? ` — ${overall.toUpperCase()}` : ''}`;
+  return `<!DOCTYPE html>
+<html lang="en"><head><meta charset="utf-8"><title>${esc(title)}</title>
+<style>${STYLE}</style></head>
+<body>
+<h1 class="${overall}">${esc(title)}</h1>
+${metaSection(data, meta)}
+${endpointSection(data)}
+${timingSection(data)}
+${failureSection(data)}
+${checkSection(data)}
+${thresholdSection(data)}
+</body></html>
+`;
+}
+
+function num(x) {
+  return Number.isFinite(x) ? x : null;
+}
+
+/**
+ * Stable machine-readable summary (SUMMARY_JSON). Durations are milliseconds,
+ * rates are fractions; missing values are null, never omitted.
+ */
+export function summaryDocument(data, meta) {
+  const endpoints = endpointResults(data);
+  const thresholds = thresholdResults(data);
+  // Same outcome as k6's exit code: endpoint verdicts are a subset of these thresholds.
+  const failed = thresholds.some((t) => !t.ok);
+  const vus = metricVals(data, 'vus_max');
+
+  return {
+    schema_version: SUMMARY_SCHEMA_VERSION,
+    script: meta.script,
+    environment: ENV_NAME,
+    test_tag: meta.testTag ?? null,
+    profile: meta.profile ?? null,
+    base_url: meta.baseUrl ?? null,
+    generated_at: new Date().toISOString(),
+    duration_ms: num(data.state?.testRunDurationMs),
+    max_vus: num(vus?.max ?? vus?.value),
+    apdex_t_ms: APDEX_T_MS,
+    verdict: failed ? 'fail' : 'pass',
+    endpoints: endpoints.map((e) => ({
+      id: e.id,
+      label: e.name,
+      reqs: e.reqs,
+      rps: num(e.rps),
+      fails: e.fails,
+      fail_rate: num(e.failRate),
+      avg_ms: num(e.avg),
+      p90_ms: num(e.p90),
+      p95_ms: num(e.p95),
+      max_ms: num(e.max),
+      apdex: num(e.apdex),
+      verdict: e.verdict || null,
+      histogram: endpointHistogram(data, e.id),
+    })),
+    thresholds,
+    failures: failureRows(data).map((f) => ({ endpoint: f.endpoint, signature: f.signature, count: f.count })),
+    checks: collectChecks(data.root_group).map((c) => ({ name: c.name, passes: c.passes, fails: c.fails })),
+  };
+}
+
+function testCase(classname, name, failure) {
+  const head = `    <testcase classname="${esc(classname)}" name="${esc(name)}"`;
+  if (!failure) return `${head}/>`;
+  return `${head}>\n      <failure message="${esc(failure)}"/>\n    </testcase>`;
+}
+
+function testSuite(name, cases, failures) {
+  return `  <testsuite name="${esc(name)}" tests="${cases.length}" failures="${failures}">\n` +
+    cases.join('\n') + (cases.length ? '\n' : '') + '  </testsuite>';
+}
+
+/** JUnit XML (JUNIT_XML): one test case per threshold and per endpoint with an SLO verdict. */
+export function junitXml(data, meta) {
+  const thresholds = thresholdResults(data);
+  const thresholdCases = thresholds.map((t) =>
+    testCase(`${meta.script}.thresholds`, `${t.metric}: ${t.threshold}`, t.ok ? null : `threshold ${t.threshold} on ${t.metric} failed`)
+  );
+
+  const endpoints = endpointResults(data).filter((e) => e.verdict);
+  const endpointCases = endpoints.map((e) =>
+    testCase(
+      `${meta.script}.endpoints`,
+      e.name,
+      e.verdict === 'fail'
+        ? `${failedThresholds(data, e.id).join(', ')} (fail ${fmtPct(e.failRate)}, p95 ${fmtMs(e.p95)})`
+        : null
+    )
+  );
+
+  const tFails = thresholds.filter((t) => !t.ok).length;
+  const eFails = endpoints.filter((e) => e.verdict === 'fail').length;
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    `<testsuites name="k6 ${esc(meta.script)}" tests="${thresholdCases.length + endpointCases.length}" failures="${tFails + eFails}">\n` +
+    testSuite(`${meta.script}.thresholds`, thresholdCases, tFails) + '\n' +
+    testSuite(`${meta.script}.endpoints`, endpointCases, eFails) + '\n' +
+    '</testsuites>\n';
+}
+
+function csvField(v) {
+  if (v === null || v === undefined) return '';
+  const s = String(v);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/** Per-endpoint table as CSV (SUMMARY_CSV); same columns as summaryDocument().endpoints. */
+export function endpointCsv(data, meta) {
+  const cols = ['id', 'label', 'reqs', 'rps', 'fails', 'fail_rate', 'avg_ms', 'p90_ms', 'p95_ms', 'max_ms', 'apdex', 'verdict'];
+  const rows = summaryDocument(data, meta).endpoints.map((e) => cols.map((c) => csvField(e[c])).join(','));
+  return [cols.join(','), ...rows].join('\n') + '\n';
+}
+
+/** handleSummary() result: the stdout text plus every report file that is enabled. */
+export function summaryOutputs(data, text, meta) {
+  const out = { stdout: text };
+  if (HTML_REPORT !== '0') out[HTML_REPORT || `${meta.script}-report.html`] = htmlReport(data, meta);
+  if (SUMMARY_JSON) out[SUMMARY_JSON] = JSON.stringify(summaryDocument(data, meta), null, 2);
+  if (JUNIT_XML) out[JUNIT_XML] = junitXml(data, meta);
+  if (SUMMARY_CSV) out[SUMMARY_CSV] = endpointCsv(data, meta);
+  return out;
+}
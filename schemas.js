@@ -0,0 +1,118 @@
+// schemas.js
+// Declarative response contracts, keyed by endpoint id (see defineEndpoints() in common.js).
+//
+// Schema notation:
+//   'string' | 'number' | 'integer' | 'boolean' | 'object' | 'array' | 'null' | 'any'
+//   'number|string'        union of types
+//   { key: schema }        object with fields; a key ending in '?' is optional
+//   [schema]               array whose items all match schema
+//
+// Violations are reported as generic field paths: '$' (root / not JSON),
+// 'lumps', 'lumps[].id', 'token', ...
+
+const LUMP = {
+  id: 'integer|string',
+  'updated_at?': 'string|null',
+  'created_at?': 'string|null',
+  'team_id?': 'integer|null',
+};
+
+export const SCHEMAS = {
+  latest: { lumps: [LUMP] },
+  team_feed: { lumps: [LUMP] },
+  user_teams: { lumps: [LUMP] },
+  team_top: { top_lumps: [LUMP] },
+  summary: 'object',
+  games_screen: { games: ['object'] },
+  comments: { ok: 'boolean', lump_id: 'integer|string' },
+  login: { token: 'string' },
+  refresh: { token: 'string' },
+  me: { user: 'object' },
+  comment_post: { comment: { id: 'integer|string' } },
+  comment_delete: { ok: 'boolean' },
+  reaction_post: { ok: 'boolean' },
+  reaction_delete: { ok: 'boolean' },
+  team_follow: { ok: 'boolean', 'team_ids?': ['integer'] },
+  team_unfollow: { ok: 'boolean', 'team_ids?': ['integer'] },
+};
+
+// Only the first items of an array are checked; feeds are homogeneous.
+const MAX_ITEMS = 25;
+
+function typeOf(v) {
+  if (v === null) return 'null';
+  if (Array.isArray(v)) return 'array';
+  return typeof v;
+}
+
+function matchesType(spec, v) {
+  return spec.split('|').some((t) => {
+    if (t === 'any') return v !== undefined;
+    if (t === 'integer') return Number.isInteger(v);
+    if (t === 'number') return typeof v === 'number' && Number.isFinite(v);
+    return typeOf(v) === t;
+  });
+}
+
+function childPath(path, key) {
+  return path === '$' ? key : `${path}.${key}`;
+}
+
+function walk(schema, value, path, out) {
+  if (typeof schema === 'string') {
+    if (!matchesType(schema, value)) out.push(path);
+    return;
+  }
+
+  if (Array.isArray(schema)) {
+    if (!Array.isArray(value)) {
+      out.push(path);
+      return;
+    }
+    const itemPath = `${path}[]`;
+    const n = Math.min(value.length, MAX_ITEMS);
+    for (let i = 0; i < n; i++) walk(schema[0], value[i], itemPath, out);
+    return;
+  }
+
+  if (typeOf(value) !== 'object') {
+    out.push(path);
+    return;
+  }
+  for (const [rawKey, sub] of Object.entries(schema)) {
+    const optional = rawKey.endsWith('?');
+    const key = optional ? rawKey.slice(0, -1) : rawKey;
+    if (value[key] === undefined) {
+      if (!optional) out.push(childPath(path, key));
+      continue;
+    }
+    walk(sub, value[key], childPath(path, key), out);
+  }
+}
+
+/**
+ * Validate a parsed body against a schema.
+ * @returns {string[]} unique offending field paths (empty when valid)
+ */
+export function validateSchema(schema, value) {
+  const out = [];
+  walk(schema, value, '$', out);
+  return Array.from(new Set(out));
+}
+
+/** Every field path a schema can report, used to pre-declare k6 submetrics. */
+export function schemaPaths(schema, path = '$', out = [path]) {
+  if (Array.isArray(schema)) {
+    const itemPath = `${path}[]`;
+    out.push(itemPath);
+    if (typeof schema[0] !== 'string') schemaPaths(schema[0], itemPath, out);
+  } else if (schema && typeof schema === 'object') {
+    for (const [rawKey, sub] of Object.entries(schema)) {
+      const key = rawKey.endsWith('?') ? rawKey.slice(0, -1) : rawKey;
+      const p = childPath(path, key);
+      out.push(p);
+      if (typeof sub !== 'string') schemaPaths(sub, p, out);
+    }
+  }
+  return Array.from(new Set(out));
+}
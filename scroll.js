@@ -0,0 +1,188 @@
+// scroll.js
+// Infinite-scroll model for the lump feeds and comment threads.
+//
+// After a feed's first page the user keeps scrolling with probability
+// SCROLL_CONTINUE_PROB per page (geometric depth), loading older pages with
+// ?before_date=<oldest lump on the previous page>, up to SCROLL_MAX_PAGES.
+// Comment threads are paged the same way through the response's next_cursor
+// (?cursor=...), with COMMENT_PAGE_CONTINUE_PROB / COMMENT_MAX_PAGES.
+//
+//   SCROLL_CONTINUE_PROB        default 0 (off); e.g. 0.35
+//   SCROLL_MAX_PAGES            older pages per feed visit, default 8
+//   COMMENT_PAGE_CONTINUE_PROB  default 0 (off); e.g. 0.30
+//   COMMENT_MAX_PAGES           extra thread pages per open thread, default 5
+//
+// Scrolling is off by default: deeper pages land in the same untagged
+// ep_<id>_latency / http_req_duration samples that slo.json and the baseline
+// comparison judge, which are calibrated on first pages. Turn it on for runs
+// that study deep-page latency rather than gate on the SLOs.
+//
+// Every feed / thread request carries a `page` tag (0 = first page, 5+ = deep)
+// on http_req_* and ep_<id>_* metrics; deep pages hit different indexes, so the
+// summary breaks latency down per depth. With both continue probabilities (or
+// both max pages) at 0 nothing is scrolled and the per-depth submetrics and
+// table are left out.
+import http from 'k6/http';
+import {
+  endpointIds,
+  recordEndpoint,
+  withRequestId,
+  safeJSON,
+  submetricKey,
+  metricVals,
+  fmtInt,
+  fmtPct,
+  fmtMs
+} from './common.js';
+import { envInt, envProb } from './config.js';
+
+const SCROLL_CONTINUE_PROB = envProb('SCROLL_CONTINUE_PROB', 0);
+const SCROLL_MAX_PAGES = envInt('SCROLL_MAX_PAGES', 8, { min: 0 });
+const COMMENT_PAGE_CONTINUE_PROB = envProb('COMMENT_PAGE_CONTINUE_PROB', 0);
+const COMMENT_MAX_PAGES = envInt('COMMENT_MAX_PAGES', 5, { min: 0 });
+const SCROLLING =
+  (SCROLL_CONTINUE_PROB > 0 && SCROLL_MAX_PAGES > 0) || (COMMENT_PAGE_CONTINUE_PROB > 0 && COMMENT_MAX_PAGES > 0);
+
+// Depths from DEEP_PAGE on share one tag value, keeping submetrics bounded.
+const DEEP_PAGE = 5;
+const PAGE_TAGS = ['0', '1', '2', '3', '4', `${DEEP_PAGE}+`];
+
+// Endpoints whose requests are paged.
+const PAGED_ENDPOINTS = ['latest', 'team_feed', 'user_teams', 'comments'];
+
+export function pageTag(depth) {
+  return depth >= DEEP_PAGE ? `${DEEP_PAGE}+` : String(depth);
+}
+
+/** Request params with the `page` tag merged in. */
+export function pageParams(params, depth) {
+  return { ...params, tags: { ...(params?.tags || {}), page: pageTag(depth) } };
+}
+
+function withQuery(url, key, value) {
+  return `${url}${url.includes('?') ? '&' : '?'}${key}=${encodeURIComponent(value)}`;
+}
+
+// Params of a deeper page, named after the URL without its cursor so each
+// cursor value does not start its own time series.
+function cursorParams(url, params, page) {
+  const p = pageParams(params, page);
+  return { ...p, tags: { name: url, ...p.tags } };
+}
+
+// Pages beyond the first: 0 with probability 1 - p, then geometric.
+function sampleDepth(continueProb, maxPages) {
+  let n = 0;
+  while (n < maxPages && Math.random() < continueProb) n++;
+  return n;
+}
+
+/** before_date cursor: the oldest updated_at / created_at on a feed page. */
+export function olderCursor(json) {
+  const lumps = Array.isArray(json?.lumps) ? json.lumps : [];
+  let oldest = null;
+  for (const l of lumps) {
+    const t = l?.updated_at || l?.created_at || null;
+    if (t && (!oldest || t < oldest)) oldest = t;
+  }
+  return oldest;
+}
+
+/**
+ * Scroll a feed below its first page to a sampled depth.
+ * @param {string} url feed URL without cursor
+ * @param {object} params request params (headers, tags)
+ * @param {object} ep registry entry
+ * @param {object} firstPage parsed JSON of page 0
+ * @returns {number} older pages loaded
+ */
+export function scrollFeed(url, params, ep, firstPage) {
+  const depth = sampleDepth(SCROLL_CONTINUE_PROB, SCROLL_MAX_PAGES);
+  let cursor = olderCursor(firstPage);
+  let loaded = 0;
+
+  while (loaded < depth && cursor) {
+    const page = loaded + 1;
+    const res = http.get(withQuery(url, 'before_date', cursor), withRequestId(cursorParams(url, params, page)));
+    recordEndpoint(ep, res, { page: pageTag(page) });
+    loaded++;
+    if (res.status !== 200) break;
+
+    const next = olderCursor(safeJSON(res));
+    if (!next || next === cursor) break;
+    cursor = next;
+  }
+  return loaded;
+}
+
+/**
+ * Page through a comment thread after its first page.
+ * @param {string} url thread URL (first page, without cursor)
+ * @param {object} params request params
+ * @param {object} ep registry entry
+ * @param {object} firstPage parsed JSON of page 0 (carries next_cursor)
+ * @returns {number} extra pages loaded
+ */
+export function pageComments(url, params, ep, firstPage) {
+  const depth = sampleDepth(COMMENT_PAGE_CONTINUE_PROB, COMMENT_MAX_PAGES);
+  let cursor = firstPage?.next_cursor ?? null;
+  let loaded = 0;
+
+  while (loaded < depth && cursor !== null && cursor !== undefined && cursor !== '') {
+    const page = loaded + 1;
+    const res = http.get(withQuery(url, 'cursor', cursor), withRequestId(cursorParams(url, params, page)));
+    recordEndpoint(ep, res, { page: pageTag(page) });
+    loaded++;
+    if (res.status !== 200) break;
+    cursor = safeJSON(res)?.next_cursor ?? null;
+  }
+  return loaded;
+}
+
+function pagedIds() {
+  const registered = endpointIds();
+  return PAGED_ENDPOINTS.filter((id) => registered.includes(id));
+}
+
+/** Submetric keys the per-depth table reads. */
+export function scrollThresholds() {
+  const out = {};
+  if (!SCROLLING) return out;
+  for (const id of pagedIds()) {
+    for (const page of PAGE_TAGS) {
+      for (const metric of [`ep_${id}_reqs`, `ep_${id}_fails`, `ep_${id}_duration`]) {
+        out[submetricKey(metric, { page })] = [];
+      }
+    }
+  }
+  return out;
+}
+
+/** Plain-text latency per feed / thread page depth for handleSummary(). */
+export function scrollSummary(data) {
+  if (!SCROLLING) return '';
+  const header =
+    '\n=== Scroll depth (feeds & comment threads) ===\n' +
+    'endpoint | page | reqs | fail% | avg | p95\n' +
+    '-------- | ----:| ----:| -----:| ----:| ---:\n';
+
+  const lines = [];
+  for (const id of pagedIds()) {
+    for (const page of PAGE_TAGS) {
+      const reqs = metricVals(data, submetricKey(`ep_${id}_reqs`, { page }))?.count ?? 0;
+      if (reqs === 0) continue;
+      const fails = metricVals(data, submetricKey(`ep_${id}_fails`, { page }))?.count ?? 0;
+      const dur = metricVals(data, submetricKey(`ep_${id}_duration`, { page })) || {};
+      lines.push([
+        id,
+        page.padStart(4),
+        fmtInt(reqs).padStart(5),
+        fmtPct(fails / reqs).padStart(6),
+        fmtMs(dur.avg ?? null).padStart(8),
+        fmtMs(dur['p(95)'] ?? null).padStart(8),
+      ].join(' | '));
+    }
+  }
+
+  return header + (lines.length > 0 ? lines.join('\n') : 'no paged requests') + '\n';
+}
@@ -0,0 +1,115 @@
+// servertiming.js
+// Backend timings reported by the API in its response headers; common.js
+// records them per endpoint (ep_<id>_server_<component>, ep_<id>_overhead) and
+// prints the client-vs-server split.
+//
+//   SERVER_TIMING          Server-Timing metric names recorded per endpoint
+//                          (default db,app,cache,queue; 0 disables). Other names
+//                          are ignored; "total" is always recorded.
+//   SERVER_TIME_HEADERS    single-value headers holding the backend total,
+//                          Name[:unit] with unit ms (default) or s
+//                          (default X-Response-Time,X-Runtime:s). Used when
+//                          Server-Timing has no "total".
+//
+// Server-Timing: db;dur=53.2, app;dur=47.2;desc="render", cache;desc="miss"
+// Entries without dur are skipped and repeated names add up. Without a total,
+// the backend time is the sum of the recorded components, which assumes the
+// API reports them without overlap.
+import { envList, envString } from './config.js';
+
+const NAME = /^[A-Za-z0-9_-]+$/;
+
+function componentList() {
+  if (envString('SERVER_TIMING', '') === '0') return [];
+  const names = envList('SERVER_TIMING', 'db,app,cache,queue').map((n) => {
+    if (!NAME.test(n)) throw new Error(`SERVER_TIMING: "${n}" is not a Server-Timing metric name`);
+    return n.toLowerCase();
+  });
+  return [...new Set([...names, 'total'])];
+}
+
+function timeHeaders() {
+  return envList('SERVER_TIME_HEADERS', 'X-Response-Time,X-Runtime:s').map((spec) => {
+    const [name, unit = 'ms'] = spec.split(':').map((s) => s.trim());
+    if (!NAME.test(name) || !['ms', 's'].includes(unit)) {
+      throw new Error(`SERVER_TIME_HEADERS: expected Name[:ms|s], got "${spec}"`);
+    }
+    return { name: name.toLowerCase(), scale: unit === 's' ? 1000 : 1 };
+  });
+}
+
+/** Components recorded per endpoint, "total" last; empty when disabled. */
+export const SERVER_COMPONENTS = componentList();
+const TIME_HEADERS = SERVER_COMPONENTS.length > 0 ? timeHeaders() : [];
+
+/** Metric-safe suffix of a component name (ep_<id>_server_<suffix>). */
+export function componentKey(name) {
+  return name.replace(/-/g, '_');
+}
+
+function headerValue(res, name) {
+  for (const [k, v] of Object.entries(res.headers || {})) {
+    if (k.toLowerCase() === name) return Array.isArray(v) ? v.join(', ') : String(v);
+  }
+  return null;
+}
+
+// Split on `sep` outside double quotes.
+function splitUnquoted(s, sep) {
+  return s.match(new RegExp(`(?:[^${sep}"]|"[^"]*")+`, 'g')) || [];
+}
+
+/** { name: ms } of a Server-Timing header value, names lower-cased. */
+export function parseServerTiming(value) {
+  const out = {};
+  for (const entry of splitUnquoted(String(value), ',')) {
+    const [name, ...params] = splitUnquoted(entry, ';').map((p) => p.trim());
+    if (!name) continue;
+    const dur = params.map((p) => p.match(/^dur\s*=\s*"?([0-9.]+)"?$/i)).find(Boolean);
+    if (!dur || !Number.isFinite(Number(dur[1]))) continue;
+    const key = name.toLowerCase();
+    out[key] = (out[key] || 0) + Number(dur[1]);
+  }
+  return out;
+}
+
+// ms in a X-Response-Time style value: "12.5", "12.5ms", "0.0125s".
+function parseTime(value, scale) {
+  const m = String(value).trim().match(/^([0-9.]+)\s*(ms|s)?$/i);
+  if (!m || !Number.isFinite(Number(m[1]))) return null;
+  const unit = m[2]?.toLowerCase();
+  return Number(m[1]) * (unit === 'ms' ? 1 : unit === 's' ? 1000 : scale);
+}
+
+/**
+ * Recorded components of a response, in ms: the SERVER_TIMING names it reports
+ * plus total (Server-Timing total, else SERVER_TIME_HEADERS, else the sum).
+ * @returns {Object<string, number>|null} null when the response carries none
+ */
+export function serverTimings(res) {
+  if (SERVER_COMPONENTS.length === 0) return null;
+
+  const st = headerValue(res, 'server-timing');
+  const parsed = st ? parseServerTiming(st) : {};
+  const out = {};
+  for (const name of SERVER_COMPONENTS) {
+    if (name in parsed) out[name] = parsed[name];
+  }
+
+  if (!('total' in out)) {
+    for (const h of TIME_HEADERS) {
+      const v = headerValue(res, h.name);
+      const ms = v === null ? null : parseTime(v, h.scale);
+      if (ms !== null) {
+        out.total = ms;
+        break;
+      }
+    }
+  }
+  if (!('total' in out)) {
+    const parts = Object.values(out);
+    if (parts.length === 0) return null;
+    out.total = parts.reduce((a, b) => a + b, 0);
+  }
+  return out;
+}
@@ -0,0 +1,120 @@
+// slo.js
+// Per-endpoint SLOs from one config file, turned into k6 thresholds.
+//
+//   SLO_FILE  config (default ./slo.json; 0 disables SLO thresholds)
+//
+// {
+//   "default":   { "p95": 1500, "fail_rate": 0.01 },
+//   "endpoints": {
+//     "login": { "p95": 1200, "p99": 2500, "fail_rate": 0.005,
+//                "abort_on_fail": true, "abort_delay": "2m" }
+//   }
+// }
+//
+// Keys under "endpoints" are registry ids (ep_<id>_*, see common.js); endpoints
+// without an entry get "default" when present. pNN are latency budgets in ms on
+// ep_<id>_duration, fail_rate a fraction on ep_any_fail_rate{endpoint:<id>}.
+// abort_on_fail stops the run as soon as the SLO breaks, after abort_delay
+// (k6 delayAbortEval) so the ramp-up does not trip it.
+import { endpointIds, endpointRows, submetricKey, metricVals, fmtMs, fmtPct } from './common.js';
+import { envString } from './config.js';
+
+const SLO_FILE = envString('SLO_FILE', './slo.json');
+
+const CONFIG = SLO_FILE === '0' ? null : JSON.parse(open(SLO_FILE));
+
+/** SLO of an endpoint id ("endpoints" entry, else "default"), or null. */
+export function sloFor(id) {
+  if (!CONFIG) return null;
+  return CONFIG.endpoints?.[id] || CONFIG.default || null;
+}
+
+function percentileKeys(slo) {
+  return Object.keys(slo)
+    .filter((k) => /^p\d+$/.test(k) && Number.isFinite(slo[k]))
+    .sort((a, b) => parseInt(a.slice(1), 10) - parseInt(b.slice(1), 10));
+}
+
+function threshold(expr, slo) {
+  if (!slo.abort_on_fail) return expr;
+  const t = { threshold: expr, abortOnFail: true };
+  if (slo.abort_delay) t.delayAbortEval = slo.abort_delay;
+  return t;
+}
+
+// [metric key, threshold expression] pairs of one endpoint's SLO.
+function sloExpressions(id, slo) {
+  const out = percentileKeys(slo).map((k) => [`ep_${id}_duration`, `p(${k.slice(1)})<${slo[k]}`]);
+  if (Number.isFinite(slo.fail_rate)) {
+    out.push([submetricKey('ep_any_fail_rate', { endpoint: id }), `rate<${slo.fail_rate}`]);
+  }
+  return out;
+}
+
+/** SLO thresholds for every endpoint registered in this script. */
+export function sloThresholds() {
+  const out = {};
+  for (const id of endpointIds()) {
+    const slo = sloFor(id);
+    if (!slo) continue;
+    for (const [key, expr] of sloExpressions(id, slo)) {
+      out[key] = (out[key] || []).concat([threshold(expr, slo)]);
+    }
+  }
+  return out;
+}
+
+/**
+ * An endpoint's SLO thresholds with k6's result.
+ * @returns {{key: string, threshold: string, ok: boolean|undefined}[]} empty without an SLO
+ */
+export function sloResults(data, id) {
+  const slo = sloFor(id);
+  if (!slo) return [];
+  return sloExpressions(id, slo).map(([key, expr]) => ({ key, threshold: expr, ok: data.metrics[key]?.thresholds?.[expr]?.ok }));
+}
+
+/**
+ * Verdict of an endpoint, decided by its slo.json thresholds alone: 'pass' |
+ * 'fail', or '' without an SLO or without requests.
+ */
+export function sloVerdict(data, id) {
+  const slo = sloFor(id);
+  const reqs = metricVals(data, `ep_${id}_reqs`)?.count ?? 0;
+  if (!slo || reqs === 0) return '';
+
+  return sloResults(data, id).some((r) => r.ok === false) ? 'fail' : 'pass';
+}
+
+function budget(slo, key, fmt) {
+  return Number.isFinite(slo[key]) ? `<${fmt(slo[key])}` : '-';
+}
+
+/** Plain-text SLO verdict per endpoint for handleSummary(); '' when SLOs are off. */
+export function sloSummary(data) {
+  if (!CONFIG) return '';
+
+  const header =
+    `\n=== Endpoint SLOs (${SLO_FILE}) ===\n` +
+    'endpoint | p95 (budget) | p99 (budget) | fail% (budget) | verdict\n' +
+    '-------- | -----------:| -----------:| -------------:| -------\n';
+
+  const lines = [];
+  for (const r of endpointRows(data)) {
+    const slo = sloFor(r.id);
+    if (!slo) continue;
+
+    const verdict = r.reqs === 0 ? 'no data' : sloVerdict(data, r.id).toUpperCase();
+
+    const dur = r.reqs > 0 ? metricVals(data, `ep_${r.id}_duration`) || {} : {};
+    lines.push([
+      r.name,
+      `${fmtMs(dur['p(95)'] ?? null)} (${budget(slo, 'p95', (x) => `${x}ms`)})`,
+      `${fmtMs(dur['p(99)'] ?? null)} (${budget(slo, 'p99', (x) => `${x}ms`)})`,
+      `${r.reqs > 0 ? fmtPct(r.failRate) : '-'} (${budget(slo, 'fail_rate', fmtPct)})`,
+      verdict,
+    ].join(' | '));
+  }
+
+  return header + (lines.length > 0 ? lines.join('\n') : 'no endpoints with an SLO') + '\n';
+}
@@ -0,0 +1,128 @@
+// teams.js
+// Team catalog shared by every script: id, league and relative popularity.
+//
+//   TEAMS_FILE   catalog (default ./teams.json): [{ "id", "league", "weight" }]
+//                weight is the team's relative traffic share. The shipped weights
+//                give each league a share (NFL 35%, NBA 25%, MLB 20%, NHL 12%,
+//                WNBA 8%) spread Zipf-like over its teams, so a few big-market
+//                teams carry most of it; refit them from analytics.
+//                NFL 33–61 are not valid team ids and are left out.
+//   TEAM_PICK    weighted (default) — proportional to weight
+//                zipf     — Zipf over the weight rank (TEAM_ZIPF_S 0..4, default 1.0)
+//                uniform  — every team equally likely (the old behaviour)
+//
+// Team-scoped requests carry a `league` tag (teamParams()), which feeds the
+// per-league table in the summary.
+import { SharedArray } from 'k6/data';
+import { submetricKey, metricVals, fmtInt, fmtPct, fmtMs } from './common.js';
+import { envEnum, envNumber, envString } from './config.js';
+
+const TEAMS_FILE = envString('TEAMS_FILE', './teams.json');
+const TEAM_PICK = envEnum('TEAM_PICK', 'weighted', ['weighted', 'zipf', 'uniform']);
+// Above 4 the tail weights are negligible; far above, they underflow to 0.
+const TEAM_ZIPF_S = envNumber('TEAM_ZIPF_S', 1.0, { min: 0, max: 4 });
+
+export const TEAMS = new SharedArray('team_catalog', () => {
+  const rows = JSON.parse(open(TEAMS_FILE));
+  return rows
+    .filter((t) => Number.isInteger(t?.id) && typeof t.league === 'string')
+    .map((t) => ({ id: t.id, league: t.league, weight: Number(t.weight) > 0 ? Number(t.weight) : 1 }));
+});
+
+export const TEAM_IDS = TEAMS.map((t) => t.id);
+
+export const LEAGUES = Array.from(new Set(TEAMS.map((t) => t.league)));
+
+const LEAGUE_BY_ID = new Map(TEAMS.map((t) => [t.id, t.league]));
+
+// Selection weights per TEAM_PICK; zipf ranks teams by catalog weight, most popular first.
+function selectionWeights() {
+  if (TEAM_PICK === 'uniform') return TEAMS.map(() => 1);
+  if (TEAM_PICK === 'weighted') return TEAMS.map((t) => t.weight);
+
+  const order = TEAMS.map((t, i) => i).sort(
+    (a, b) => TEAMS[b].weight - TEAMS[a].weight || TEAMS[a].id - TEAMS[b].id
+  );
+  const w = new Array(TEAMS.length);
+  order.forEach((idx, rank) => {
+    w[idx] = 1 / Math.pow(rank + 1, TEAM_ZIPF_S);
+  });
+  return w;
+}
+
+const WEIGHTS = selectionWeights();
+
+export function leagueOf(teamId) {
+  return LEAGUE_BY_ID.get(Number(teamId)) || 'unknown';
+}
+
+/**
+ * Pick `count` distinct teams by the TEAM_PICK distribution.
+ * @param {number} count
+ * @param {function(): number} [rnd] PRNG in [0, 1); pass a seeded one for reproducible picks
+ * @returns {number[]} team ids
+ */
+export function pickTeams(count, rnd = Math.random) {
+  const weights = WEIGHTS.slice();
+  const n = Math.min(count, weights.filter((w) => w > 0).length);
+  let total = weights.reduce((a, b) => a + b, 0);
+  const out = [];
+
+  while (out.length < n && total > 0) {
+    let r = rnd() * total;
+    let i = 0;
+    while (i < weights.length - 1 && r >= weights[i]) {
+      r -= weights[i];
+      i++;
+    }
+    if (weights[i] === 0) continue; // float edge: landed on an already-picked team
+    out.push(TEAMS[i].id);
+    weights[i] = 0;
+    total = weights.reduce((a, b) => a + b, 0); // re-summed so rounding cannot drift
+  }
+  return out;
+}
+
+export function pickTeam(rnd = Math.random) {
+  return pickTeams(1, rnd)[0];
+}
+
+/** Request params with the team's `league` tag merged in. */
+export function teamParams(params, teamId) {
+  return { ...params, tags: { ...(params?.tags || {}), league: leagueOf(teamId) } };
+}
+
+/** Submetric keys the per-league table reads. */
+export function leagueThresholds() {
+  const out = {};
+  for (const league of LEAGUES) {
+    for (const metric of ['http_reqs', 'http_req_failed', 'http_req_duration']) {
+      out[submetricKey(metric, { league })] = [];
+    }
+  }
+  return out;
+}
+
+/** Plain-text per-league latency / failure table for handleSummary(). */
+export function leagueSummary(data) {
+  const header =
+    '\n=== Per-league summary (team-scoped requests) ===\n' +
+    'league | reqs | fail% | avg | p90 | p95\n' +
+    '------ | ----:| -----:| ----:| ---:| ---:\n';
+
+  const lines = LEAGUES.map((league) => {
+    const reqs = metricVals(data, submetricKey('http_reqs', { league }));
+    const failed = metricVals(data, submetricKey('http_req_failed', { league }));
+    const dur = metricVals(data, submetricKey('http_req_duration', { league })) || {};
+    return [
+      league,
+      fmtInt(reqs?.count ?? 0).padStart(5),
+      fmtPct(failed?.rate ?? 0).padStart(6),
+      fmtMs(dur.avg ?? null).padStart(8),
+      fmtMs(dur['p(90)'] ?? null).padStart(8),
+      fmtMs(dur['p(95)'] ?? null).padStart(8),
+    ].join(' | ');
+  }).join('\n');
+
+  return header + lines + '\n';
+}
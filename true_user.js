@@ -14,190 +14,209 @@
  *  - On subsequent iterations, skips login and calls GET /users/me once per iteration.
  *  - If /users/me returns 401/403, the VU re-logins and continues.
  *
- * Original flow per iteration (preserved):
+ * Original flow per iteration (preserved, plus write actions):
  *  1) Guest: GET /lumps/latest (+ comments threads for 3 lump_ids)
+ *     With SCROLL_CONTINUE_PROB / COMMENT_PAGE_CONTINUE_PROB set (off by default),
+ *     feeds and threads are scrolled to a sampled depth (scroll.js: before_date /
+ *     next_cursor paging), every page tagged with its depth.
  *  2) (Now: login once per VU) POST /users/login (only if token missing/invalid)
  *  2b) (New) Auth re-hydration: GET /users/me (same payload shape as login)
  *  3) Authorized: GET /lumps/user-teams (after_date sometimes once/twice) (+ comments threads)
- *  4) Pick 2–5 random teams:
+ *  4) Pick 2–5 teams (popularity-weighted, see teams.js; with a sampled session
+ *     length from pacing.js, one team per remaining screen; a 1-screen session
+ *     ends after step 1, a 2-screen one after step 3):
  *      - Public:  GET /lumps/team/:teamId (after_date sometimes once/twice) (+ comments threads)
  *      - Always together:
  *          Public: GET /games/by-team/:teamId/screen
  *          Auth:   GET /lumps/team/:teamId/top
  *      - Sometimes:
  *          Auth:   GET /lumps/summary/team/:teamId
+ *  Writes (writes.js, each with its own probability and per-endpoint metrics):
+ *      - POST /comments on a user-teams lump (PROB_POST_COMMENT)
+ *      - POST /lumps/:id/reactions on a team-feed lump (PROB_REACT)
+ *      - POST /user-teams/:teamId follow a visited team (PROB_FOLLOW_TEAM)
+ *  5) Cleanup: created comments / reactions / follows are undone at the end of
+ *     the iteration (WRITE_CLEANUP=0 keeps them); comment bodies carry TEST_TAG.
  *
  * Observability:
  *  - Per-endpoint metrics: req count, fail count, duration (avg/p90/p95/max).
  *  - Global timing breakdown: connecting, tls_handshaking, waiting.
- *  - Compact custom table printed in handleSummary().
+ *  - Response schema validation per endpoint (schemas.js): ep_*_schema_violations + offending field paths.
+ *  - Failure forensics (common.js): failures{endpoint,signature} by status class / timeout / connection,
+ *    rate-limited JSON log lines with the X-Request-Id, top signatures in the summary.
+ *  - Compact custom table printed in handleSummary(); same data as a standalone HTML report (report.js).
  *
  * @changelog
  *  - 2026-01-05: Scenario 1: token cached per VU (one login per VU) + added GET /users/me after login and once per iteration.
  *  - 2026-01-05: Added EP.me per-endpoint metrics and included in custom summary table.
+ *  - 2026-10-19: Endpoint registry, timing breakdown and summary table moved to common.js (shared with guest scripts).
+ *  - 2026-10-19: Response bodies validated against schemas.js; violations are reported (schema_violations), and fail the run with SCHEMA_GATE=1.
+ *  - 2026-10-19: Scenario built from profiles.js (PROFILE=smoke|load|stress|spike|soak|breakpoint); default soak keeps VUS/DURATION.
+ *  - 2026-10-19: LOAD_MODEL=open drives the profile as arrival rate (RATE sessions/sec); dropped_iterations in summary.
+ *  - 2026-10-19: Runs as a weighted scenario inside blended.js; BASE_URL may be given without /api/v1.
+ *  - 2026-10-19: Accounts come from the credentials.js pool (USERS_FILE json/csv, per-user passwords, segment-partitioned); USER_PREFIX/USER_COUNT/USER_OFFSET removed.
+ *  - 2026-10-19: Token lifecycle in auth.js: JWT exp-aware renewal, /auth/refresh flow, counters for re-logins, refreshes and unexpected 401s (/auth/me, /lumps/user-teams, /lumps/team/:id/top, summary).
+ *  - 2026-10-19: Teams from the teams.js catalog (league + popularity weight, TEAM_PICK=weighted|zipf|uniform); team-scoped requests tagged league, per-league table in summary.
+ *  - 2026-10-19: handleSummary() also writes an HTML report (HTML_REPORT path, 0 disables) with run metadata, thresholds, checks and per-endpoint Apdex (APDEX_T_MS).
+ *  - 2026-10-19: Machine-readable exports from report.js: SUMMARY_JSON (versioned schema shared by all scripts), JUNIT_XML, SUMMARY_CSV.
+ *  - 2026-10-19: Baseline mode (baseline.js): BASELINE_FILE=<previous SUMMARY_JSON> adds a p95/p90/fail%/rps delta table and fails on regressions beyond REGRESSION_PCT / REGRESSION_MS / REGRESSION_FAIL_PP.
+ *  - 2026-10-19: Per-endpoint SLOs from slo.json (SLO_FILE): p95/p99/fail-rate thresholds on ep_* metrics, optional abortOnFail; SLO verdict table in summary.
+ *  - 2026-10-19: Failure recorder on every endpoint (common.js): signatures counted and summarised, sampled JSON log lines carry a per-request X-Request-Id (FAILURE_LOG, FAILURE_LOG_PER_SIGNATURE, FAILURE_LOG_MAX, a whole-run budget split across VUs).
+ *  - 2026-10-19: Write path (writes.js): tagged comments, reactions and team follows with per-endpoint metrics; created content cleaned up per iteration, teardown() restores followed teams (and calls WRITE_SWEEP_URL).
+ *  - 2026-10-19: Infinite scroll (scroll.js): latest / user-teams / team feeds follow before_date to a sampled depth, comment threads page via next_cursor; page-depth tag + per-depth table. Off by default (continue probabilities 0) so SLO / baseline samples stay first-page.
+ *  - 2026-10-19: HTTP caching (cache.js, HTTP_CACHE=off|conditional|bust): ETag / Last-Modified revalidation per VU, 304 counted as success; cache-status headers parsed into edge hit rate and edge-vs-origin latency per endpoint.
+ *  - 2026-10-19: Pacing (pacing.js): think times from PACING_DIST (uniform/lognormal/exponential) or fitted per-step distributions in PACING_FILE (incl. empirical percentiles); sampled session length sets the number of screens (latest, user-teams, then one per team hop), idle time between sessions.
+ *  - 2026-10-19: Guardrails (guard.js): production BASE_URL refused without ALLOW_PROD=1 + PROD_MAX_VUS; setup() preflight (health + pool login); abortOnFail thresholds on the run's 5xx rate / p95 (over all VUs) abort it.
+ *  - 2026-10-19: Shared configuration (config.js): ENV=local|staging|prod from environments.json, BASE_URL / TEST_TAG / tagging headers shared with every script, env settings type-checked at init; TEST_TAG default is now the environment's (chunky-k6) plus _<run start>, staging needs BASE_URL.
+ *  - 2026-10-19: Multi-process runs (launch.mjs): N local k6 processes on execution segments, per-endpoint latency histograms (LATENCY_HIST) in SUMMARY_JSON, merged report with recomputed percentiles.
+ *  - 2026-10-19: Per-window results (windows.js): calls tagged with the profile stage or time window, per-window p95 table, first SLO breach (breakpoint) per endpoint, p95 drift over soak runs (DRIFT_PCT).
+ *  - 2026-10-19: Backend timings (servertiming.js): Server-Timing components and X-Response-Time style headers recorded per endpoint (ep_<id>_server_<component>, ep_<id>_overhead); client-vs-server split in summary.
  * JSDOC END
  */
 
 import http from "k6/http";
 import { check, sleep } from "k6";
-import { Trend, Rate, Counter } from "k6/metrics";
+import { randomIntBetween } from "https://jslib.k6.io/k6-utils/1.4.0/index.js";
 import {
-  randomIntBetween,
-  randomItem,
-  uuidv4,
-} from "https://jslib.k6.io/k6-utils/1.4.0/index.js";
+  withRequestId,
+  safeJSON,
+  defineEndpoints,
+  recordEndpoint,
+  endpointThresholds,
+  endpointSummary,
+  mergeThresholds,
+  SUMMARY_TREND_STATS,
+} from "./common.js";
+import { profileScenario, activeProfile } from "./profiles.js";
+import { vuCredential, checkPoolCapacity, sampleCredential } from "./credentials.js";
+import {
+  pickTeams,
+  teamParams,
+  leagueThresholds,
+  leagueSummary,
+} from "./teams.js";
+import {
+  initAuth,
+  sessionToken,
+  noteUnauthorized,
+  authThresholds,
+  authSummary,
+} from "./auth.js";
+import { summaryOutputs } from "./report.js";
+import { baselineThresholds, baselineSummary } from "./baseline.js";
+import { sloThresholds, sloSummary } from "./slo.js";
+import { initWindows, windowThresholds, windowSummary } from "./windows.js";
+import { pageParams, scrollFeed, pageComments, scrollThresholds, scrollSummary } from "./scroll.js";
+import { cachedGet, cachedJSON, cacheThresholds, cacheSummary } from "./cache.js";
+import { think, sessionScreens, endSession, pacingSummary } from "./pacing.js";
+import { guardTarget, preflight, guardThresholds, guardSummary } from "./guard.js";
+import {
+  API_BASE,
+  TEST_TAG,
+  testTag,
+  tagHeaders,
+  envBool,
+  envInt,
+  envNumber,
+  envProb,
+} from "./config.js";
+import {
+  initWrites,
+  postComment,
+  reactToLump,
+  followTeam,
+  cleanupWrites,
+  writeBaseline,
+  sweepWrites,
+} from "./writes.js";
 
 // ------------------------
 // ENV / CONFIG
 // ------------------------
-const BASE_URL = __ENV.BASE_URL || "https://api.chunkysports.com/api/v1";
-const PASSWORD = __ENV.PASSWORD || "Test1234!";
-const USER_DOMAIN = __ENV.USER_DOMAIN || "chunky.test";
-const USER_PREFIX = __ENV.USER_PREFIX || "testuser";
-const USER_COUNT = parseInt(__ENV.USER_COUNT || "99", 10); // 01..99
-const USER_OFFSET = parseInt(__ENV.USER_OFFSET || "0", 10); // per-loadgen offset
-const TEST_TAG = __ENV.TEST_TAG || `true_user_${new Date().toISOString()}`;
-const DEBUG = (__ENV.DEBUG || "0") === "1";
+// Target and test tag come from ENV / BASE_URL / TEST_TAG (config.js), shared with
+// every script. Production needs ALLOW_PROD=1 + PROD_MAX_VUS (guard.js).
+const BASE_URL = guardTarget(API_BASE);
+const DEBUG = envBool("DEBUG", false);
 
 // endpoint toggles / weights
-const PROB_USERTEAMS_REFRESH_TWICE = parseFloat(
-  __ENV.PROB_USERTEAMS_REFRESH_TWICE || "0.25"
-);
-const PROB_TEAMFEED_REFRESH_TWICE = parseFloat(
-  __ENV.PROB_TEAMFEED_REFRESH_TWICE || "0.20"
-);
-const PROB_DO_SUMMARY = parseFloat(__ENV.PROB_DO_SUMMARY || "0.25");
+const PROB_USERTEAMS_REFRESH_TWICE = envProb("PROB_USERTEAMS_REFRESH_TWICE", 0.25);
+const PROB_TEAMFEED_REFRESH_TWICE = envProb("PROB_TEAMFEED_REFRESH_TWICE", 0.2);
+const PROB_DO_SUMMARY = envProb("PROB_DO_SUMMARY", 0.25);
+
+// write actions (writes.js); created content is cleaned up at the end of the iteration
+const PROB_POST_COMMENT = envProb("PROB_POST_COMMENT", 0.1); // per user-teams feed
+const PROB_REACT = envProb("PROB_REACT", 0.25); // per team feed
+const PROB_FOLLOW_TEAM = envProb("PROB_FOLLOW_TEAM", 0.05); // per iteration
 
 // Comments thread behavior (always 3 if possible)
-const COMMENTS_PER_FEED = parseInt(__ENV.COMMENTS_PER_FEED || "3", 10);
+const COMMENTS_PER_FEED = envInt("COMMENTS_PER_FEED", 3, { min: 0 });
 
-// “human-ish” pacing (seconds)
+// “human-ish” pacing (seconds): uniform ranges unless pacing.js is configured
 const SLEEP_AFTER_LATEST = [0.3, 1.2];
 const SLEEP_AFTER_LOGIN = [0.2, 0.8];
 const SLEEP_BETWEEN_FEEDS = [0.6, 2.2];
 const SLEEP_BETWEEN_TEAM_ACTIONS = [0.4, 1.6];
 
-// Valid team IDs (excluding NFL invalid 33–61, using your list)
-const TEAM_IDS = [
-  // NFL 1..32 (skip 33..61 invalid)
-  1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21,
-  22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32,
-  // NBA 63..92
-  63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80,
-  81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92,
-  // MLB 93..123
-  93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108,
-  109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123,
-  // NHL 123,125..154
-  123, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138,
-  139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153,
-  154,
-  // WNBA 156..167, 169, 170
-  156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 169, 170,
-];
+// ------------------------
+// Per-endpoint custom metrics (registry in common.js)
+// ------------------------
+const EP = defineEndpoints({
+  latest: "GET /lumps/latest",
+  login: "POST /auth/login (once per VU)",
+  refresh: "POST /auth/refresh",
+  me: "GET /auth/me",
+  userTeams: "GET /lumps/user-teams (+after)",
+  teamFeed: "GET /lumps/team/:id (+after)",
+  gamesScreen: "GET /games/by-team/:id/screen",
+  teamTop: "GET /lumps/team/:id/top",
+  summary: "GET /lumps/summary/team/:id",
+  comments: "GET /comments/thread",
+  commentPost: "POST /comments",
+  commentDelete: "DELETE /comments/:id (cleanup)",
+  reactionPost: "POST /lumps/:id/reactions",
+  reactionDelete: "DELETE /lumps/:id/reactions (cleanup)",
+  teamFollow: "POST /user-teams/:id (follow)",
+  teamUnfollow: "DELETE /user-teams/:id (unfollow)",
+});
 
 // ------------------------
 // k6 OPTIONS
 // ------------------------
+const SCENARIOS = {
+  true_user: profileScenario("soak", {
+    vus: envInt("VUS", 50, { min: 1 }),
+    rate: envNumber("RATE", 1, { min: 0 }), // sessions/sec with LOAD_MODEL=open
+    iterationSec: 45,
+  }),
+};
+initWindows(SCENARIOS); // per-window table, breakpoint and drift (windows.js)
+
 export const options = {
-  scenarios: {
-    true_user: {
-      executor: "constant-vus",
-      vus: parseInt(__ENV.VUS || "50", 10),
-      duration: __ENV.DURATION || "1h",
+  scenarios: SCENARIOS,
+  thresholds: mergeThresholds(
+    {
+      // Scoped to the scenario: setup() / teardown() requests (preflight, write
+      // sweep) carry no scenario tag and stay out of the verdict.
+      "http_req_failed{scenario:true_user}": ["rate<0.01"], // overall failure rate < 1%
+      "http_req_duration{scenario:true_user}": ["p(95)<800"], // tune to your reality
     },
-  },
-  thresholds: {
-    http_req_failed: ["rate<0.01"], // overall failure rate < 1%
-    http_req_duration: ["p(95)<800"], // tune to your reality
-  },
+    endpointThresholds(),
+    authThresholds(),
+    leagueThresholds(),
+    scrollThresholds(),
+    cacheThresholds(),
+    guardThresholds(), // circuit breaker
+    sloThresholds(), // per-endpoint budgets from slo.json
+    windowThresholds(),
+    baselineThresholds()
+  ),
+  summaryTrendStats: SUMMARY_TREND_STATS,
   tags: {
     test_tag: TEST_TAG,
     test_type: "true_user",
   },
 };
 
-// ------------------------
-// Global timing breakdown (client-side components)
-// ------------------------
-const T_CONNECTING = new Trend("timing_connecting", true);
-const T_TLS = new Trend("timing_tls_handshaking", true);
-const T_WAITING = new Trend("timing_waiting", true);
-
-// ------------------------
-// Per-endpoint custom metrics
-// ------------------------
-const EP = {
-  latest: {
-    reqs: new Counter("ep_latest_reqs"),
-    fails: new Counter("ep_latest_fails"),
-    dur: new Trend("ep_latest_duration", true),
-  },
-  login: {
-    reqs: new Counter("ep_login_reqs"),
-    fails: new Counter("ep_login_fails"),
-    dur: new Trend("ep_login_duration", true),
-  },
-  me: {
-    reqs: new Counter("ep_me_reqs"),
-    fails: new Counter("ep_me_fails"),
-    dur: new Trend("ep_me_duration", true),
-  },
-  userTeams: {
-    reqs: new Counter("ep_user_teams_reqs"),
-    fails: new Counter("ep_user_teams_fails"),
-    dur: new Trend("ep_user_teams_duration", true),
-  },
-  teamFeed: {
-    reqs: new Counter("ep_team_feed_reqs"),
-    fails: new Counter("ep_team_feed_fails"),
-    dur: new Trend("ep_team_feed_duration", true),
-  },
-  gamesScreen: {
-    reqs: new Counter("ep_games_screen_reqs"),
-    fails: new Counter("ep_games_screen_fails"),
-    dur: new Trend("ep_games_screen_duration", true),
-  },
-  teamTop: {
-    reqs: new Counter("ep_team_top_reqs"),
-    fails: new Counter("ep_team_top_fails"),
-    dur: new Trend("ep_team_top_duration", true),
-  },
-  summary: {
-    reqs: new Counter("ep_summary_reqs"),
-    fails: new Counter("ep_summary_fails"),
-    dur: new Trend("ep_summary_duration", true),
-  },
-  comments: {
-    reqs: new Counter("ep_comments_reqs"),
-    fails: new Counter("ep_comments_fails"),
-    dur: new Trend("ep_comments_duration", true),
-  },
-};
-
-function recordTimingBreakdown(res) {
-  try {
-    const t = res?.timings || {};
-    if (Number.isFinite(t.connecting)) T_CONNECTING.add(t.connecting);
-    if (Number.isFinite(t.tls_handshaking)) T_TLS.add(t.tls_handshaking);
-    if (Number.isFinite(t.waiting)) T_WAITING.add(t.waiting);
-  } catch (_) {
-    // no-op
-  }
-}
-
-const epAnyFailRate = new Rate("ep_any_fail_rate");
-
-function recordEndpoint(epObj, res) {
-  epObj.reqs.add(1);
-  epObj.dur.add(res.timings.duration);
-  recordTimingBreakdown(res);
-
-  const failed = res.status < 200 || res.status >= 300;
-  if (failed) epObj.fails.add(1);
-  epAnyFailRate.add(failed ? 1 : 0);
-}
-
 function logDebug(msg, obj) {
   if (!DEBUG) return;
   console.log(
@@ -205,45 +224,27 @@ function logDebug(msg, obj) {
   );
 }
 
+// Back-off after an auth failure; not user think time, so not part of pacing.js.
 function jitterSleep(minMax) {
   const [min, max] = minMax;
   const t = Math.random() * (max - min) + min;
   sleep(t);
 }
 
-function pad4(n) {
-  const s = String(n);
-  return s.length >= 4 ? s : "0".repeat(4 - s.length) + s;
-}
-
-function pickUniqueTeams(count) {
-  const picked = new Set();
-  while (picked.size < count) {
-    picked.add(randomItem(TEAM_IDS));
-  }
-  return Array.from(picked);
-}
-
 function authHeaders(token) {
   return {
-    headers: {
+    headers: tagHeaders({
       Authorization: `Bearer ${token}`,
       "Content-Type": "application/json",
-      "X-Test-Tag": TEST_TAG,
-      "X-Request-Id": uuidv4(),
-    },
-    tags: { test_tag: TEST_TAG },
+    }),
+    tags: { test_tag: testTag() },
   };
 }
 
 function guestHeaders() {
   return {
-    headers: {
-      "Content-Type": "application/json",
-      "X-Test-Tag": TEST_TAG,
-      "X-Request-Id": uuidv4(),
-    },
-    tags: { test_tag: TEST_TAG },
+    headers: tagHeaders({ "Content-Type": "application/json" }),
+    tags: { test_tag: testTag() },
   };
 }
 
@@ -300,11 +301,9 @@ function hitCommentsThreads(lumpIds, reqParams, labelPrefix) {
   for (let i = 0; i < lumpIds.length; i++) {
     const lumpId = lumpIds[i];
 
-    const r = http.get(
-      `${BASE_URL}/comments/thread?lump_id=${encodeURIComponent(lumpId)}`,
-      reqParams
-    );
-    recordEndpoint(EP.comments, r);
+    const threadUrl = `${BASE_URL}/comments/thread?lump_id=${encodeURIComponent(lumpId)}`;
+    const r = http.get(threadUrl, withRequestId(pageParams(reqParams, 0)));
+    recordEndpoint(EP.comments, r, { page: "0" });
 
     check(r, {
       [`${labelPrefix} /comments/thread 200`]: (x) => x.status === 200,
@@ -325,22 +324,28 @@ function hitCommentsThreads(lumpIds, reqParams, labelPrefix) {
         }
       },
     });
+
+    // Older comments in the thread (next_cursor paging, scroll.js)
+    if (r.status === 200) {
+      pageComments(threadUrl, reqParams, EP.comments, safeJSON(r));
+    }
   }
 }
 
-function getFeedWithComments(url, reqParams, feedLabel, epMetricObj) {
-  const res = http.get(url, reqParams);
-  if (epMetricObj) recordEndpoint(epMetricObj, res);
+// scroll: after the first page, scroll to older pages (scroll.js); off for after_date refreshes
+// The first page goes through cache.js (HTTP_CACHE); a 304 reuses the VU's cached copy.
+function getFeedWithComments(url, reqParams, feedLabel, epMetricObj, scroll = false) {
+  const res = epMetricObj
+    ? cachedGet(url, withRequestId(pageParams(reqParams, 0)), epMetricObj, { page: "0" })
+    : http.get(url, withRequestId(pageParams(reqParams, 0)));
 
   check(res, {
-    [`${feedLabel} 200`]: (r) => r.status === 200,
+    [`${feedLabel} 200`]: (r) => r.status === 200 || r.status === 304,
   });
 
-  if (res.status === 200) {
-    let j = null;
-    try {
-      j = res.json();
-    } catch (e) {
+  if (res.status === 200 || res.status === 304) {
+    const j = cachedJSON(url, res);
+    if (j === null) {
       logDebug("feed json parse failed", { feedLabel, url });
       return { res, json: null, lumpIds: [], cursor: null };
     }
@@ -352,6 +357,8 @@ function getFeedWithComments(url, reqParams, feedLabel, epMetricObj) {
       logDebug("no valid lump ids found for comments", { feedLabel, url });
     }
 
+    if (scroll && epMetricObj) scrollFeed(url, reqParams, epMetricObj, j);
+
     return {
       res,
       json: j,
@@ -364,47 +371,35 @@ function getFeedWithComments(url, reqParams, feedLabel, epMetricObj) {
 }
 
 /**
- * Scenario 1 auth:
- * - Login once per VU (token cached in VU runtime)
+ * Scenario 1 auth (session handling in auth.js):
+ * - Login once per VU (token cached in VU runtime), renewed ahead of JWT expiry
  * - Then /users/me after login
  * - Each iteration runs /users/me once to simulate re-hydration checks
- * - If /users/me returns 401/403, token is invalidated and re-login occurs
+ * - A 401/403 on /users/me, /lumps/user-teams or /lumps/team/:id/top drops the
+ *   token; the VU re-logins on its next iteration
  */
-let VU_TOKEN = null;
-
-function doLogin(email) {
-  const loginPayload = JSON.stringify({ email, password: PASSWORD });
-  const loginRes = http.post(`${BASE_URL}/auth/login`, loginPayload, guestHeaders());
-  recordEndpoint(EP.login, loginRes);
-
-  const ok = check(loginRes, {
-    "login 200": (r) => r.status === 200,
-  });
-
-  if (!ok) {
-    logDebug("login failed", {
-      email,
-      status: loginRes.status,
-      body: loginRes.body?.slice?.(0, 200),
-    });
-    return null;
-  }
-
-  let j = null;
-  try {
-    j = loginRes.json();
-  } catch (_) {
-    logDebug("login json parse failed", { email });
-    return null;
-  }
-
-  const token = j?.token || null;
-  if (!token) {
-    logDebug("login missing token", { email });
-    return null;
-  }
+initAuth({
+  baseUrl: BASE_URL,
+  guestParams: guestHeaders,
+  endpoints: { login: EP.login, refresh: EP.refresh },
+});
+
+initWrites({
+  baseUrl: BASE_URL,
+  authParams: authHeaders,
+  endpoints: {
+    commentPost: EP.commentPost,
+    commentDelete: EP.commentDelete,
+    reactionPost: EP.reactionPost,
+    reactionDelete: EP.reactionDelete,
+    teamFollow: EP.teamFollow,
+    teamUnfollow: EP.teamUnfollow,
+  },
+});
 
-  return token;
+// Undo this VU's writes; true when the token was rejected on the way.
+function cleanup(token) {
+  return cleanupWrites(token).some((r) => noteUnauthorized(r, "write_cleanup"));
 }
 
 function doUsersMe(token) {
@@ -417,21 +412,34 @@ function doUsersMe(token) {
   });
 
   // If token is invalid/expired, signal caller to re-login.
-  if (!ok && (meRes.status === 401 || meRes.status === 403)) {
-    logDebug("auth/me unauthorized", { status: meRes.status });
+  if (!ok && noteUnauthorized(meRes, "me")) {
     return { ok: false, invalidToken: true, res: meRes };
   }
 
   return { ok, invalidToken: false, res: meRes };
 }
 
+const WRITES_ENABLED = PROB_POST_COMMENT > 0 || PROB_REACT > 0 || PROB_FOLLOW_TEAM > 0;
+
+export function setup() {
+  checkPoolCapacity("true_user");
+  preflight(BASE_URL, sampleCredential());
+  return WRITES_ENABLED ? writeBaseline() : null;
+}
+
+// Writes of iterations k6 cut off at the end of the run.
+export function teardown(data) {
+  sweepWrites(data);
+}
+
 export default function () {
   // ------------------------
-  // Unique user per VU (distributed friendly)
+  // Unique account per VU from the credential pool (partitioned per load generator)
   // ------------------------
-  const vuBase = USER_OFFSET + (__VU - 1); // 0-based
-  const userNum = (vuBase % USER_COUNT) + 1; // 1..USER_COUNT
-  const email = `${USER_PREFIX}${pad4(userNum)}@${USER_DOMAIN}`;
+  const cred = vuCredential();
+
+  // Screens this session: latest, user-teams, then one per team hop
+  const screens = sessionScreens(2 + randomIntBetween(2, 5));
 
   // ------------------------
   // 1) Guest: /lumps/latest (+ comments threads)
@@ -440,42 +448,52 @@ export default function () {
     `${BASE_URL}/lumps/latest`,
     guestHeaders(),
     "guest /lumps/latest",
-    EP.latest
+    EP.latest,
+    true
   );
-  jitterSleep(SLEEP_AFTER_LATEST);
+  think("after_latest", SLEEP_AFTER_LATEST);
+  if (screens <= 1) {
+    endSession();
+    return;
+  }
 
   // ------------------------
   // 2) Auth bootstrap:
-  //    - Login ONCE per VU (cached token), unless missing/invalid
+  //    - Login ONCE per VU (cached token), unless missing/invalid/about to expire
   //    - Always hit /users/me once per iteration (realistic “rehydrate”)
   // ------------------------
-  if (!VU_TOKEN) {
-    VU_TOKEN = doLogin(email);
-    if (!VU_TOKEN) {
-      jitterSleep([1.0, 2.5]);
-      return;
-    }
-    jitterSleep(SLEEP_AFTER_LOGIN);
+  const session = sessionToken(cred);
+  if (!session.token) {
+    jitterSleep([1.0, 2.5]);
+    return;
+  }
+
+  if (session.loggedIn) {
+    think("after_login", SLEEP_AFTER_LOGIN);
 
     // Immediately validate + rehydrate after login
-    const meAfterLogin = doUsersMe(VU_TOKEN);
+    const meAfterLogin = doUsersMe(session.token);
     if (meAfterLogin.invalidToken) {
-      VU_TOKEN = null;
       jitterSleep([1.0, 2.5]);
       return;
     }
   }
 
   // Per-iteration re-hydration check (token saved, app starts, /users/me called)
-  const meThisIter = doUsersMe(VU_TOKEN);
+  const meThisIter = doUsersMe(session.token);
   if (meThisIter.invalidToken) {
     // Token expired/invalid; re-login and continue next iteration
-    VU_TOKEN = null;
     jitterSleep([0.8, 1.8]);
     return;
   }
 
-  const authReq = authHeaders(VU_TOKEN);
+  // Leftovers from an iteration that returned early (e.g. token rejected)
+  if (cleanup(session.token)) {
+    jitterSleep([0.8, 1.8]);
+    return;
+  }
+
+  const authReq = authHeaders(session.token);
 
   // ------------------------
   // 3) Authorized: /lumps/user-teams (+ comments threads)
@@ -484,8 +502,22 @@ export default function () {
     `${BASE_URL}/lumps/user-teams`,
     authReq,
     "auth /lumps/user-teams",
-    EP.userTeams
+    EP.userTeams,
+    true
   );
+  if (noteUnauthorized(ut1.res, "user_teams")) {
+    jitterSleep([0.8, 1.8]);
+    return;
+  }
+
+  // 3b) Write: sometimes comment on a lump from the user's own feed
+  if (ut1.lumpIds.length > 0 && Math.random() < PROB_POST_COMMENT) {
+    const lumpId = ut1.lumpIds[Math.floor(Math.random() * ut1.lumpIds.length)];
+    if (noteUnauthorized(postComment(session.token, lumpId), "comment_post")) {
+      jitterSleep([0.8, 1.8]);
+      return;
+    }
+  }
 
   const userTeamsCursor = ut1.cursor;
   const doTwice = Math.random() < PROB_USERTEAMS_REFRESH_TWICE;
@@ -508,23 +540,42 @@ export default function () {
     }
   }
 
-  jitterSleep(SLEEP_BETWEEN_FEEDS);
+  think("between_feeds", SLEEP_BETWEEN_FEEDS);
+  if (screens <= 2) {
+    cleanup(session.token);
+    endSession();
+    return;
+  }
 
   // ------------------------
-  // 4) Team hops: 2–5 random teams
+  // 4) Team hops: 2–5 teams, popularity-weighted (teams.js, TEAM_PICK).
+  //    With a sampled session length (pacing.js) every screen after latest
+  //    and user-teams is one team hop.
   // ------------------------
-  const teamCount = randomIntBetween(2, 5);
-  const teams = pickUniqueTeams(teamCount);
+  const teams = pickTeams(screens - 2);
 
   for (const teamId of teams) {
+    const teamGuestReq = () => teamParams(guestHeaders(), teamId);
+    const teamAuthReq = teamParams(authReq, teamId);
+
     // 4a) Public team feed (+ comments threads)
     const tf1 = getFeedWithComments(
       `${BASE_URL}/lumps/team/${teamId}`,
-      guestHeaders(),
+      teamGuestReq(),
       `guest /lumps/team/${teamId}`,
-      EP.teamFeed
+      EP.teamFeed,
+      true
     );
 
+    // Write: sometimes react to a lump in the team feed
+    if (tf1.lumpIds.length > 0 && Math.random() < PROB_REACT) {
+      const lumpId = tf1.lumpIds[Math.floor(Math.random() * tf1.lumpIds.length)];
+      if (noteUnauthorized(reactToLump(session.token, lumpId), "reaction_post")) {
+        jitterSleep([0.8, 1.8]);
+        return;
+      }
+    }
+
     // sometimes do after_date refresh once/twice
     const teamCursor = tf1.cursor;
     const teamTwice = Math.random() < PROB_TEAMFEED_REFRESH_TWICE;
@@ -532,7 +583,7 @@ export default function () {
     if (teamCursor) {
       getFeedWithComments(
         `${BASE_URL}/lumps/team/${teamId}?after_date=${encodeURIComponent(teamCursor)}`,
-        guestHeaders(),
+        teamGuestReq(),
         `guest /lumps/team/${teamId} after_date`,
         EP.teamFeed
       );
@@ -540,147 +591,101 @@ export default function () {
       if (teamTwice) {
         getFeedWithComments(
           `${BASE_URL}/lumps/team/${teamId}?after_date=${encodeURIComponent(teamCursor)}`,
-          guestHeaders(),
+          teamGuestReq(),
           `guest /lumps/team/${teamId} after_date x2`,
           EP.teamFeed
         );
       }
     }
 
-    jitterSleep(SLEEP_BETWEEN_TEAM_ACTIONS);
+    think("between_team_actions", SLEEP_BETWEEN_TEAM_ACTIONS);
 
     // 4b) Always together: games (public) + team top (auth)
-    const gamesRes = http.get(
+    const gamesRes = cachedGet(
       `${BASE_URL}/games/by-team/${teamId}/screen`,
-      guestHeaders()
+      withRequestId(teamGuestReq()),
+      EP.gamesScreen
     );
-    recordEndpoint(EP.gamesScreen, gamesRes);
 
     check(gamesRes, {
-      "guest /games/by-team/:id/screen 200": (r) => r.status === 200,
+      "guest /games/by-team/:id/screen 200": (r) => r.status === 200 || r.status === 304,
     });
 
-    const topRes = http.get(`${BASE_URL}/lumps/team/${teamId}/top`, authReq);
+    const topRes = http.get(
+      `${BASE_URL}/lumps/team/${teamId}/top`,
+      withRequestId(teamAuthReq)
+    );
     recordEndpoint(EP.teamTop, topRes);
 
     check(topRes, {
       "auth /team/:id/top 200": (r) => r.status === 200,
     });
+    if (noteUnauthorized(topRes, "team_top")) {
+      jitterSleep([0.8, 1.8]);
+      return;
+    }
 
     // 4c) Sometimes: summary (auth)
     if (Math.random() < PROB_DO_SUMMARY) {
-      const sumRes = http.get(`${BASE_URL}/lumps/summary/team/${teamId}`, authReq);
+      const sumRes = http.get(
+        `${BASE_URL}/lumps/summary/team/${teamId}`,
+        withRequestId(teamAuthReq)
+      );
       recordEndpoint(EP.summary, sumRes);
 
       check(sumRes, {
         "auth /lumps/summary/team/:id 200": (r) => r.status === 200,
       });
+      if (noteUnauthorized(sumRes, "summary")) {
+        jitterSleep([0.8, 1.8]);
+        return;
+      }
     }
 
-    jitterSleep(SLEEP_BETWEEN_FEEDS);
+    think("between_feeds", SLEEP_BETWEEN_FEEDS);
   }
-}
-
-// ------------------------
-// Custom end-of-test summary table
-// ------------------------
-function fmtMs(x) {
-  if (x === null || x === undefined || !Number.isFinite(x)) return "-";
-  return `${x.toFixed(1)}ms`;
-}
-function fmtPct(x) {
-  if (x === null || x === undefined || !Number.isFinite(x)) return "-";
-  return `${(x * 100).toFixed(2)}%`;
-}
-function fmtInt(x) {
-  if (x === null || x === undefined || !Number.isFinite(x)) return "-";
-  return `${Math.round(x)}`;
-}
-
-function metricVals(data, metricName) {
-  const v = data?.metrics?.[metricName]?.values || null;
-  return v || null;
-}
 
-function fmtTimingLine(label, v) {
-  if (!v) return `${label}: -`;
-  const avg = v.avg ?? null;
-  const p90 = v["p(90)"] ?? null;
-  const p95 = v["p(95)"] ?? null;
-  const max = v.max ?? null;
-  return `${label}: avg=${fmtMs(avg)} p90=${fmtMs(p90)} p95=${fmtMs(p95)} max=${fmtMs(max)}`;
-}
-
-function epRowFromData(data, name, prefix) {
-  const reqs = data.metrics[`${prefix}_reqs`]?.values?.count ?? 0;
-  const fails = data.metrics[`${prefix}_fails`]?.values?.count ?? 0;
-
-  const dur = data.metrics[`${prefix}_duration`]?.values || {};
-  const avg = dur.avg ?? null;
-  const p90 = dur["p(90)"] ?? null;
-  const p95 = dur["p(95)"] ?? null;
-  const max = dur.max ?? null;
+  // ------------------------
+  // 5) Write: sometimes follow one of the visited teams
+  // ------------------------
+  if (Math.random() < PROB_FOLLOW_TEAM) {
+    const teamId = teams[Math.floor(Math.random() * teams.length)];
+    if (noteUnauthorized(followTeam(session.token, teamId), "team_follow")) {
+      jitterSleep([0.8, 1.8]);
+      return;
+    }
+  }
 
-  const failRate = reqs > 0 ? fails / reqs : 0;
+  // ------------------------
+  // 6) Cleanup: delete comments, remove reactions, unfollow teams created above
+  // ------------------------
+  cleanup(session.token);
 
-  return {
-    name,
-    reqs,
-    fails,
-    failRate,
-    avg,
-    p90,
-    p95,
-    max,
-  };
+  // Session over: idle until the next one (pacing.js "idle")
+  endSession();
 }
 
+// ------------------------
+// Custom end-of-test summary table
+// ------------------------
 export function handleSummary(data) {
-  const rows = [
-    epRowFromData(data, "GET /lumps/latest", "ep_latest"),
-    epRowFromData(data, "POST /auth/login (once per VU)", "ep_login"),
-    epRowFromData(data, "GET /auth/me", "ep_me"),
-    epRowFromData(data, "GET /lumps/user-teams (+after)", "ep_user_teams"),
-    epRowFromData(data, "GET /lumps/team/:id (+after)", "ep_team_feed"),
-    epRowFromData(data, "GET /games/by-team/:id/screen", "ep_games_screen"),
-    epRowFromData(data, "GET /lumps/team/:id/top", "ep_team_top"),
-    epRowFromData(data, "GET /lumps/summary/team/:id", "ep_summary"),
-    epRowFromData(data, "GET /comments/thread", "ep_comments"),
-  ];
-
-  const header =
-    "\n=== Per-endpoint summary (custom) ===\n" +
-    "endpoint | reqs | fails | fail% | avg | p90 | p95 | max\n" +
-    "-------- | ----:| ----:| -----:| ----:| ---:| ---:| ---:\n";
-
-  const lines = rows
-    .map((r) => {
-      return [
-        r.name,
-        fmtInt(r.reqs).padStart(4),
-        fmtInt(r.fails).padStart(4),
-        fmtPct(r.failRate).padStart(6),
-        fmtMs(r.avg).padStart(8),
-        fmtMs(r.p90).padStart(8),
-        fmtMs(r.p95).padStart(8),
-        fmtMs(r.max).padStart(8),
-      ].join(" | ");
-    })
-    .join("\n");
-
-  const vConn = metricVals(data, "timing_connecting");
-  const vTls = metricVals(data, "timing_tls_handshaking");
-  const vWait = metricVals(data, "timing_waiting");
-
-  const timingLine =
-    "\n=== TIMINGS breakdown (global) ===\n" +
-    fmtTimingLine("connecting", vConn) + "\n" +
-    fmtTimingLine("tls_handshaking", vTls) + "\n" +
-    fmtTimingLine("waiting", vWait) + "\n\n";
-
-  const text = header + lines + "\n" + timingLine;
-
-  return {
-    stdout: text,
-  };
+  return summaryOutputs(
+    data,
+    endpointSummary(data) +
+      sloSummary(data) +
+      scrollSummary(data) +
+      cacheSummary(data) +
+      pacingSummary(data) +
+      guardSummary(data, BASE_URL) +
+      windowSummary(data) +
+      leagueSummary(data) +
+      authSummary(data) +
+      baselineSummary(data),
+    {
+      script: "true_user",
+      testTag: testTag(),
+      profile: activeProfile("soak"),
+      baseUrl: BASE_URL,
+    }
+  );
 }
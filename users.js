@@ -0,0 +1,26 @@
+// users.js
+// Users-file parsing shared by credentials.js (the pool) and provision_users.js.
+// No init side effects: importing it reads no file, so provisioning works
+// before a users file exists.
+//
+//   PASSWORD  password for entries that do not carry their own (default Test1234!)
+import papaparse from 'https://jslib.k6.io/papaparse/5.1.1/index.js';
+import { envString } from './config.js';
+
+const DEFAULT_PASSWORD = envString('PASSWORD', 'Test1234!');
+
+/** Parse a users file (JSON array or CSV with header) into { email, password } rows. */
+export function parseUsers(raw, path) {
+  const rows = path.toLowerCase().endsWith('.csv')
+    ? papaparse.parse(raw, { header: true, skipEmptyLines: true }).data
+    : JSON.parse(raw);
+
+  const users = [];
+  for (const row of rows) {
+    const email = String(row?.email || '').trim();
+    if (!email) continue;
+    users.push({ email, password: String(row.password || '').trim() || DEFAULT_PASSWORD });
+  }
+  if (users.length === 0) throw new Error(`No accounts found in ${path}`);
+  return users;
+}
@@ -0,0 +1,202 @@
+// windows.js
+// Time-bucketed results: every endpoint call is tagged with the window of the
+// run it fell in, and the summary shows each endpoint's p95 per window.
+//
+//   WINDOWS     auto (default) — the stages of ramping profiles (stress, spike,
+//                                load, breakpoint), time windows for constant ones
+//               time           — time windows for every profile
+//               off
+//   WINDOW_SEC  length of a time window (default: the run in 12, whole minutes, at least 60);
+//               widened when the run would have more than MAX_TIME_WINDOWS (24)
+//   DRIFT_PCT   growth of the fitted p95 trend over the run that flags an
+//               endpoint as degrading (default 20)
+//
+// Breakpoint: the first window in which an endpoint broke its SLO (slo.js:
+// p95 / p99 / fail_rate), counting windows with at least MIN_WINDOW_REQS calls.
+// On a step ramp that is the load level the endpoint stops coping with.
+// Drift (time windows only): least-squares slope of the per-window p95 over
+// time; an endpoint whose fitted p95 grows by more than DRIFT_PCT from the
+// first window to the last is flagged DEGRADING.
+//
+// Windows follow the test clock (exec.instance.currentTestRunDuration), which
+// includes setup(); a slow setup shifts them by its own duration.
+import exec from 'k6/execution';
+import { endpointIds, endpointRows, tagEndpoints, submetricKey, metricVals, fmtMs } from './common.js';
+import { durationMs, envEnum, envInt, envNumber } from './config.js';
+import { sloFor } from './slo.js';
+
+const WINDOWS = envEnum('WINDOWS', 'auto', ['auto', 'time', 'off']);
+const WINDOW_SEC = envInt('WINDOW_SEC', null, { min: 1 });
+const DRIFT_PCT = envNumber('DRIFT_PCT', 20, { min: 0 });
+
+const MIN_WINDOW_REQS = 10;
+const AUTO_TIME_WINDOWS = 12;
+// Every window adds three submetrics per endpoint, one of them a Trend that
+// keeps its own copy of the samples (see SUBMETRIC_MAX in common.js).
+const MAX_TIME_WINDOWS = 24;
+// Used when a scenario has no duration of its own (k6's maxDuration default).
+const DEFAULT_MAX_DURATION = '10m';
+
+// [{ id, from, to, label }] in test-clock milliseconds; empty = off.
+let TIMELINE = [];
+let KIND = null;
+
+function fmtClock(ms) {
+  const s = Math.round(ms / 1000);
+  if (s % 3600 === 0 && s > 0) return `${s / 3600}h`;
+  if (s % 60 === 0) return `${s / 60}m`;
+  return s >= 60 ? `${Math.floor(s / 60)}m${s % 60}s` : `${s}s`;
+}
+
+function scenarioLength(sc) {
+  if (sc.stages) return sc.stages.reduce((ms, st) => ms + durationMs(st.duration), 0);
+  return durationMs(sc.duration || sc.maxDuration || DEFAULT_MAX_DURATION);
+}
+
+function stageWindows(sc) {
+  const unit = sc.executor === 'ramping-arrival-rate' ? `/${sc.timeUnit || '1s'}` : ' VUs';
+  let from = 0;
+  let level = sc.executor === 'ramping-arrival-rate' ? sc.startRate || 0 : sc.startVUs || 0;
+  return sc.stages.map((st, i) => {
+    const to = from + durationMs(st.duration);
+    const change = st.target === level ? `hold ${st.target}` : `${level}→${st.target}`;
+    const w = { id: `s${i + 1}`, from, to, label: `${fmtClock(from)}-${fmtClock(to)} ${change}${unit}` };
+    from = to;
+    level = st.target;
+    return w;
+  });
+}
+
+function timeWindows(totalMs) {
+  const auto = Math.max(60, Math.ceil(totalMs / 1000 / AUTO_TIME_WINDOWS / 60) * 60);
+  const sec = Math.max(WINDOW_SEC || auto, Math.ceil(totalMs / 1000 / MAX_TIME_WINDOWS));
+  const out = [];
+  for (let from = 0, i = 1; from < totalMs; from += sec * 1000, i++) {
+    const to = Math.min(totalMs, from + sec * 1000);
+    out.push({ id: `w${String(i).padStart(2, '0')}`, from, to, label: `${fmtClock(from)}-${fmtClock(to)}` });
+  }
+  return out;
+}
+
+/**
+ * Wire the module to a script's scenarios (init context). The longest scenario
+ * sets the windows; blended.js runs its populations on the same profile.
+ * @param {Object<string, object>} scenarios options.scenarios
+ */
+export function initWindows(scenarios) {
+  TIMELINE = [];
+  KIND = null;
+  if (WINDOWS === 'off') return;
+
+  const sc = Object.values(scenarios || {}).reduce(
+    (best, s) => (!best || scenarioLength(s) > scenarioLength(best) ? s : best),
+    null
+  );
+  if (!sc) return;
+
+  if (WINDOWS === 'auto' && sc.stages) {
+    KIND = 'stage';
+    TIMELINE = stageWindows(sc);
+  } else {
+    KIND = 'time';
+    TIMELINE = timeWindows(scenarioLength(sc));
+  }
+}
+
+function currentWindow() {
+  const ms = exec.instance.currentTestRunDuration;
+  const w = TIMELINE.find((x) => ms < x.to) || TIMELINE[TIMELINE.length - 1];
+  return w.id;
+}
+
+tagEndpoints(() => (TIMELINE.length > 0 ? { window: currentWindow() } : {}));
+
+/** Submetric keys the window table reads. */
+export function windowThresholds() {
+  const out = {};
+  for (const id of endpointIds()) {
+    for (const w of TIMELINE) {
+      for (const metric of ['reqs', 'fails', 'duration']) out[submetricKey(`ep_${id}_${metric}`, { window: w.id })] = [];
+    }
+  }
+  return out;
+}
+
+function windowStats(data, id, w) {
+  const reqs = metricVals(data, submetricKey(`ep_${id}_reqs`, { window: w.id }))?.count ?? 0;
+  const fails = metricVals(data, submetricKey(`ep_${id}_fails`, { window: w.id }))?.count ?? 0;
+  const dur = reqs > 0 ? metricVals(data, submetricKey(`ep_${id}_duration`, { window: w.id })) || {} : {};
+  return { w, reqs, failRate: reqs > 0 ? fails / reqs : 0, p95: dur['p(95)'] ?? null, p99: dur['p(99)'] ?? null };
+}
+
+// Why a window broke the SLO ('' when it did not, or has too few calls).
+function breach(s, slo) {
+  if (!slo || s.reqs < MIN_WINDOW_REQS) return '';
+  if (Number.isFinite(slo.p95) && s.p95 >= slo.p95) return `p95 ${fmtMs(s.p95)} >= ${slo.p95}ms`;
+  if (Number.isFinite(slo.p99) && s.p99 !== null && s.p99 >= slo.p99) return `p99 ${fmtMs(s.p99)} >= ${slo.p99}ms`;
+  if (Number.isFinite(slo.fail_rate) && s.failRate >= slo.fail_rate) {
+    return `fail ${(s.failRate * 100).toFixed(2)}% >= ${(slo.fail_rate * 100).toFixed(2)}%`;
+  }
+  return '';
+}
+
+/**
+ * Least-squares fit of p95 over window midpoints (minutes).
+ * @returns {{slope: number, growthPct: number}|null} ms per minute, and the
+ *   fitted change from the first window to the last relative to the first
+ */
+function drift(stats) {
+  const pts = stats
+    .filter((s) => s.reqs >= MIN_WINDOW_REQS && s.p95 !== null)
+    .map((s) => [(s.w.from + s.w.to) / 2 / 60_000, s.p95]);
+  if (pts.length < 3) return null;
+
+  const n = pts.length;
+  const mx = pts.reduce((a, [x]) => a + x, 0) / n;
+  const my = pts.reduce((a, [, y]) => a + y, 0) / n;
+  const sxx = pts.reduce((a, [x]) => a + (x - mx) ** 2, 0);
+  if (sxx === 0) return null;
+  const slope = pts.reduce((a, [x, y]) => a + (x - mx) * (y - my), 0) / sxx;
+
+  const start = my + slope * (pts[0][0] - mx);
+  const end = my + slope * (pts[n - 1][0] - mx);
+  return { slope, growthPct: start > 0 ? ((end - start) / start) * 100 : 0 };
+}
+
+function fmtDrift(d) {
+  if (!d) return '-';
+  const sign = d.slope >= 0 ? '+' : '';
+  const flag = d.growthPct > DRIFT_PCT && d.slope > 0 ? ' DEGRADING' : '';
+  return `${sign}${d.slope.toFixed(2)}ms/min (${sign}${d.growthPct.toFixed(0)}%)${flag}`;
+}
+
+/** Plain-text per-window p95 table, with breakpoints and drift, for handleSummary(). */
+export function windowSummary(data) {
+  if (TIMELINE.length === 0) return '';
+
+  const legend = TIMELINE.map((w) => `${w.id} ${w.label}`).join('\n');
+  const trendCol = KIND === 'time';
+  const header =
+    `\n=== Per-window p95 (${KIND === 'stage' ? 'profile stages' : 'time windows'}; ! = SLO broken) ===\n` +
+    legend + '\n\n' +
+    `endpoint | ${TIMELINE.map((w) => w.id).join(' | ')} | breakpoint${trendCol ? ' | p95 trend' : ''}\n` +
+    `-------- | ${TIMELINE.map(() => '---:').join(' | ')} | ----------${trendCol ? ' | ---------' : ''}\n`;
+
+  const lines = [];
+  for (const r of endpointRows(data)) {
+    if (r.reqs === 0) continue;
+    const slo = sloFor(r.id);
+    const stats = TIMELINE.map((w) => windowStats(data, r.id, w));
+    const breaches = stats.map((s) => breach(s, slo));
+    const first = breaches.findIndex(Boolean);
+
+    let breakpoint = 'none';
+    if (!slo) breakpoint = 'no SLO';
+    else if (first >= 0) breakpoint = `${TIMELINE[first].id} (${breaches[first]})`;
+
+    const cells = stats.map((s, i) => (s.reqs > 0 ? `${fmtMs(s.p95)}${breaches[i] ? '!' : ''}` : '-').padStart(8));
+    lines.push([r.name, ...cells, breakpoint, ...(trendCol ? [fmtDrift(drift(stats))] : [])].join(' | '));
+  }
+
+  return header + (lines.length > 0 ? lines.join('\n') : 'no requests') + '\n';
+}
@@ -0,0 +1,259 @@
+// writes.js
+// Authenticated write actions for the logged-in journey: posting comments,
+// reacting to lumps and following / unfollowing teams.
+//
+//   POST   /comments                 { lump_id, body }  -> 201 { comment: { id } }
+//   DELETE /comments/:id
+//   POST   /lumps/:id/reactions      { reaction }       -> 201 new, 200 already reacted
+//   DELETE /lumps/:id/reactions
+//   POST   /user-teams/:teamId                           -> 201 new, 200 already followed
+//   DELETE /user-teams/:teamId
+//
+// Everything created carries the test tag: in the comment body, as test_tag in
+// the reaction and follow bodies, and as the X-Test-Tag header on every request.
+// Whatever this VU created is remembered and undone by cleanupWrites(): the
+// comment deleted, the reaction removed, the team unfollowed. Reactions and
+// follows that already existed (200) are left alone, so a seeded account keeps
+// its teams. A 404 on cleanup (already gone) is an expected answer, not an
+// endpoint failure. Cleanup that fails (e.g. token rejected) is retried on the
+// next call, up to CLEANUP_ATTEMPTS times.
+//
+// Content created in an iteration that k6 cuts off at the end of the run is
+// left to the teardown() sweep (sweepWrites()), which runs once per account
+// this instance can use. VUs cannot hand their queues to teardown(), so the
+// sweep works from what the API shows: followed teams are put back to the list
+// writeBaseline() saw in setup(), and with WRITE_SWEEP_URL the tagged comments
+// and reactions are removed by that endpoint. Without it they stay; find them
+// by the test tag. The follow lists come from user.teams in the login answer;
+// an API that does not send them gets no follow restore, and setup() says so.
+//
+// Sweep requests use plain http, not recordEndpoint(), so no ep_* / guard
+// metric sees them; they are tagged write:sweep, and the scripts scope their
+// http_req_* thresholds to their scenario, which setup() and teardown() are
+// not part of.
+//
+//   WRITE_CLEANUP    1 (default) / 0 — leave created content in place (no sweep either)
+//   WRITE_SWEEP_URL  endpoint that deletes tagged content, called from teardown()
+//                    as DELETE <url>?test_tag=<tag> with a pool account's token
+//   DEBUG            1 prints what the sweep did
+import http from 'k6/http';
+import { check } from 'k6';
+import { recordEndpoint, withRequestId, safeJSON } from './common.js';
+import { tagHeaders, testTag, envBool, envString } from './config.js';
+import { instanceCredentials } from './credentials.js';
+
+const WRITE_CLEANUP = envBool('WRITE_CLEANUP', true);
+const WRITE_SWEEP_URL = envString('WRITE_SWEEP_URL', '');
+const DEBUG = envBool('DEBUG', false);
+
+const REACTIONS = ['fire', 'like', 'laugh', 'wow'];
+const CLEANUP_ATTEMPTS = 3;
+// Parallel logins / fixes per http.batch() in setup() and teardown().
+const SWEEP_BATCH = 20;
+
+let CONFIG = null;
+
+/**
+ * Wire the module to a script (init context).
+ * @param {object} cfg
+ * @param {string} cfg.baseUrl API root including /api/v1
+ * @param {function(string): object} cfg.authParams request params for a token
+ * @param {{commentPost: object, commentDelete: object, reactionPost: object,
+ *   reactionDelete: object, teamFollow: object, teamUnfollow: object}} cfg.endpoints
+ *   registry entries from defineEndpoints()
+ */
+export function initWrites(cfg) {
+  CONFIG = cfg;
+}
+
+// Content this VU created and has not cleaned up yet: [{ kind, id, attempts }].
+let CREATED = [];
+
+// Cleanup answers that mean "already undone".
+const CLEANUP_EXPECTED = [404];
+
+function send(method, path, body, token, ep, expected) {
+  const params = withRequestId(CONFIG.authParams(token));
+  // Keep expected answers out of http_req_failed too.
+  if (expected) params.responseCallback = http.expectedStatuses({ min: 200, max: 399 }, ...expected);
+  const res = http.request(method, `${CONFIG.baseUrl}${path}`, body === null ? null : JSON.stringify(body), params);
+  recordEndpoint(ep, res, undefined, expected);
+  return res;
+}
+
+/** Post a tagged comment on a lump. @returns {object} response */
+export function postComment(token, lumpId) {
+  const res = send(
+    'POST',
+    '/comments',
+    { lump_id: lumpId, body: `[loadtest ${testTag()}] ${new Date().toISOString()}` },
+    token,
+    CONFIG.endpoints.commentPost
+  );
+  check(res, { 'write POST /comments 201': (r) => r.status === 201 });
+
+  const id = safeJSON(res)?.comment?.id;
+  if (res.status === 201 && id !== undefined && id !== null) CREATED.push({ kind: 'comment', id, attempts: 0 });
+  return res;
+}
+
+/** React to a lump with a random reaction. @returns {object} response */
+export function reactToLump(token, lumpId) {
+  const reaction = REACTIONS[Math.floor(Math.random() * REACTIONS.length)];
+  const res = send(
+    'POST',
+    `/lumps/${lumpId}/reactions`,
+    { reaction, test_tag: testTag() },
+    token,
+    CONFIG.endpoints.reactionPost
+  );
+  check(res, { 'write POST /lumps/:id/reactions 2xx': (r) => r.status === 200 || r.status === 201 });
+
+  if (res.status === 201) CREATED.push({ kind: 'reaction', id: lumpId, attempts: 0 });
+  return res;
+}
+
+/** Follow a team (feeds /lumps/user-teams). @returns {object} response */
+export function followTeam(token, teamId) {
+  const res = send('POST', `/user-teams/${teamId}`, { test_tag: testTag() }, token, CONFIG.endpoints.teamFollow);
+  check(res, { 'write POST /user-teams/:id 2xx': (r) => r.status === 200 || r.status === 201 });
+
+  if (res.status === 201) CREATED.push({ kind: 'follow', id: teamId, attempts: 0 });
+  return res;
+}
+
+/** Unfollow a team. @returns {object} response */
+export function unfollowTeam(token, teamId) {
+  const res = send('DELETE', `/user-teams/${teamId}`, null, token, CONFIG.endpoints.teamUnfollow);
+  check(res, { 'write DELETE /user-teams/:id 200': (r) => r.status === 200 });
+  return res;
+}
+
+function undo(item, token) {
+  if (item.kind === 'comment') {
+    return send('DELETE', `/comments/${item.id}`, null, token, CONFIG.endpoints.commentDelete, CLEANUP_EXPECTED);
+  }
+  if (item.kind === 'reaction') {
+    return send('DELETE', `/lumps/${item.id}/reactions`, null, token, CONFIG.endpoints.reactionDelete, CLEANUP_EXPECTED);
+  }
+  return send('DELETE', `/user-teams/${item.id}`, null, token, CONFIG.endpoints.teamUnfollow, CLEANUP_EXPECTED);
+}
+
+/** Number of writes this VU still has to undo. */
+export function pendingWrites() {
+  return CREATED.length;
+}
+
+/**
+ * Undo everything this VU created. Failed deletes stay queued for the next
+ * call; 404 (already gone) counts as done.
+ * @returns {object[]} responses, for the caller's 401 handling
+ */
+export function cleanupWrites(token) {
+  if (!WRITE_CLEANUP || CREATED.length === 0) return [];
+  const pending = [];
+  const responses = [];
+  for (const item of CREATED) {
+    const res = undo(item, token);
+    responses.push(res);
+    const done = res.status === 404 || (res.status >= 200 && res.status < 300);
+    if (!done && ++item.attempts < CLEANUP_ATTEMPTS) pending.push(item);
+  }
+  CREATED = pending;
+  return responses;
+}
+
+// ------------------------
+// End-of-run sweep
+// ------------------------
+// `params` with the write:sweep tag added to its own tags.
+function sweepParams(params) {
+  return { ...params, tags: { ...(params.tags || {}), write: 'sweep' } };
+}
+
+function logDebug(msg) {
+  if (!DEBUG) return;
+  console.log(`[DEBUG writes] ${msg}`);
+}
+
+function inBatches(items, fn) {
+  const out = [];
+  for (let i = 0; i < items.length; i += SWEEP_BATCH) out.push(...http.batch(items.slice(i, i + SWEEP_BATCH).map(fn)));
+  return out;
+}
+
+// [{ email, token, teams }] for the accounts that logged in; teams null when the
+// login answer does not list them.
+function sweepLogins(credentials) {
+  const params = sweepParams({ headers: tagHeaders({ 'Content-Type': 'application/json' }) });
+  const responses = inBatches(credentials, (c) => [
+    'POST',
+    `${CONFIG.baseUrl}/auth/login`,
+    JSON.stringify({ email: c.email, password: c.password }),
+    params,
+  ]);
+  const out = [];
+  responses.forEach((res, i) => {
+    const body = res.status === 200 ? safeJSON(res) : null;
+    if (typeof body?.token !== 'string') return;
+    const teams = Array.isArray(body.user?.teams) ? body.user.teams.map(Number) : null;
+    out.push({ email: credentials[i].email, token: body.token, teams });
+  });
+  return out;
+}
+
+/**
+ * setup(): the teams every account of this instance follows before the run,
+ * for sweepWrites(). null with WRITE_CLEANUP=0.
+ * @returns {Object<string, number[]>|null} email -> team ids
+ */
+export function writeBaseline() {
+  if (!WRITE_CLEANUP) return null;
+  const accounts = sweepLogins(instanceCredentials());
+  const out = {};
+  for (const a of accounts) {
+    if (a.teams) out[a.email] = a.teams;
+  }
+  if (accounts.length > 0 && Object.keys(out).length === 0) {
+    console.warn('write sweep: the login answer lists no user.teams; follows left by cut-off iterations will not be restored');
+  }
+  return out;
+}
+
+/**
+ * teardown(): undo what cut-off iterations left behind. Follows are restored
+ * to the writeBaseline() lists; with WRITE_SWEEP_URL tagged comments and
+ * reactions are deleted by that endpoint.
+ * @param {Object<string, number[]>|null} baseline writeBaseline() result from setup()
+ */
+export function sweepWrites(baseline) {
+  if (!WRITE_CLEANUP || !baseline) return;
+  const accounts = sweepLogins(instanceCredentials().filter((c) => baseline[c.email]));
+
+  const fixes = [];
+  for (const a of accounts) {
+    if (!a.teams) continue;
+    const before = baseline[a.email];
+    for (const id of a.teams.filter((t) => !before.includes(t))) fixes.push({ a, method: 'DELETE', id });
+    for (const id of before.filter((t) => !a.teams.includes(t))) fixes.push({ a, method: 'POST', id });
+  }
+  const fixed = inBatches(fixes, (f) => [
+    f.method,
+    `${CONFIG.baseUrl}/user-teams/${f.id}`,
+    f.method === 'POST' ? JSON.stringify({ test_tag: testTag() }) : null,
+    sweepParams(CONFIG.authParams(f.a.token)),
+  ]).filter((res) => res.status >= 200 && res.status < 300).length;
+
+  let swept = `tagged comments and reactions left in place (WRITE_SWEEP_URL unset); test tag ${testTag()}`;
+  // Without a follow baseline no account logged in above; the sweep URL still needs one.
+  const token = WRITE_SWEEP_URL && (accounts[0] || sweepLogins(instanceCredentials().slice(0, 1))[0])?.token;
+  if (token) {
+    const res = http.del(
+      `${WRITE_SWEEP_URL}?test_tag=${encodeURIComponent(testTag())}`,
+      null,
+      sweepParams(CONFIG.authParams(token))
+    );
+    swept = `${WRITE_SWEEP_URL} answered ${res.status}`;
+  }
+  logDebug(`sweep: ${fixed}/${fixes.length} follow changes undone on ${accounts.length} accounts; ${swept}`);
+}